@@ -11,9 +11,33 @@
 // CLASSIFICATION TAXONOMY:
 // -------------------------
 // NDVI Thresholds:     Dense ≥0.6* | Trans 0.4-0.6* | Sparse 0.2-0.4* | Bare <0.2*
-//                      (*Adjustable via SENSITIVITY_ADJUSTMENT)
+//                      (*Adjustable via sensitivityAdjustment)
+//                      (or calibrated from Hansen tree cover / ESA WorldCover)
 // Trend Thresholds:    Gaining >+0.005/yr | Losing <-0.005/yr | Stable ±0.005
-//                      (All trends filtered by Mann-Kendall Significance p < 0.05)
+// Spectral Index:      NDVI (default), EVI, NBR, NDMI, SAVI or kNDVI (index),
+//                      each with its own default state and slope thresholds
+//                      (All trends filtered by Mann-Kendall Significance p < 0.05;
+//                      optional Hamed-Rao or prewhitened variant and BH FDR)
+// Trend Estimator:     OLS linearFit (default) or Theil-Sen slope (trendMethod)
+//                      on every scene (default) or annual composites (trendInput)
+// Exclusions:          Optional water (JRC GSW), built-up/cropland (ESA
+//                      WorldCover) and user polygon masks, before classification
+// Harmonization:       Optional TM/ETM+ → OLI transform (Roy et al., 2016)
+//                      and optional Sentinel-2 fusion (HLS bandpass to OLI)
+// Terrain:             Optional C or SCS+C illumination correction and terrain
+//                      shadow mask per scene (SRTM or Copernicus DEM)
+// Projection:          Years to dense canopy from the recent linear slope
+//                      (default) or a logistic fit with 95% bounds (projectionModel)
+// Disturbance:         LandTrendr segmentation of annual NDVI (year of largest
+//                      loss, magnitude and recovery duration)
+// Patches:             Optional minimum mapping unit (8-connected change
+//                      patches), patch statistics and polygon export
+// Trajectories:        State of every 5-year epoch, summarised as a trajectory
+//                      type (e.g. loss then recovery) and first loss epoch
+// Comparison:          Swipe view of baseline vs current composites (true or
+//                      NIR false colour) with a toggleable change overlay
+// Exports:             Per-product images plus a multi-band bundle, in the ROI's
+//                      UTM zone (default), to Drive, an asset folder or GCS
 //
 // CHANGE CLASSES (State-Driven):
 //   1. Canopy Loss           - Dense → Sparse/Bare
@@ -24,37 +48,282 @@
 //   6. Canopy Establishment  - Sparse → Dense (epoch tracked)
 //   7. Sparse Accumulation   - Sparse → Sparse (gaining trend)
 //   8. Trans. Accumulation   - Trans → Trans (gaining trend)
+//   9. Canopy Thinning       - Dense → Dense (losing trend)
+//  10. Transitional Decline  - Trans → Sparse/Bare
+//  11. Sparse Loss           - Sparse → Bare
+//  12. Sparse Depletion      - Sparse → Sparse (losing trend)
+//  13. Trans. Depletion      - Trans → Trans (losing trend)
+//
+// All parameters live in DEFAULTS below and can be changed at runtime from
+// the control panel; "Apply" rebuilds the whole pipeline from the new config.
 //
 // See /docs/methodology.pdf for full documentation.
 // ============================================================================
 
 // 1. CONFIGURATION
 
-// Time Series Parameters
-var startYear = 1985;
-var endYear = 2025; // Update this to extend analysis
-var recentYearStart = endYear - 10; // Dynamic 10-year trend comparison window
+// Stamped on every export (see runMetadata); keep in step with the header
+var SCRIPT_VERSION = '2.0.1';
+
+var DEFAULTS = {
+  // Time Series Parameters
+  startYear: 1985,
+  endYear: 2025,               // Update this to extend analysis
+
+  // Seasonality Parameters (Months 1-12)
+  // Default: June (6) to Sept (9) (Seasonal Window - Configurable)
+  // A window with startMonth > endMonth wraps the new year (e.g. 12 → 3)
+  startMonth: 6,
+  endMonth: 9,
+  // 'off' (use the months above) | 'latitude' (growing season by hemisphere
+  // outside the tropics; climatology within them) | 'climatology' (greenest
+  // months of the ROI, recommended for tropical sites such as the default ROI)
+  autoSeason: 'off',
+
+  // Spectral Index driving states, trends and epochs (see INDICES)
+  index: 'NDVI',
+
+  // State Thresholds on the active index. null = index default
+  // (NDVI: 0.6 / 0.4 / 0.2, literature-validated)
+  denseCanopy: null,           // Dense forest canopy
+  transitional: null,          // Transitional woodland-shrub
+  sparse: null,                // Sparse vegetation / open land
+
+  // Threshold calibration against a reference layer inside the ROI:
+  // 'off' | 'hansen' (treecover2000) | 'worldcover' (ESA WorldCover 2021).
+  // Calibrated values replace the three thresholds above (before adjustment)
+  calibration: 'off',
+  calibrationRule: 'percentile', // 'percentile' | 'separation'
+
+  // SENSITIVITY ANALYSIS
+  // Set to a value (e.g. ±0.05) to test threshold stability. Default 0.
+  sensitivityAdjustment: 0.0,
+  // Sweep: every state offset × slope factor is classified and compared with
+  // the default result (Classification Stability layer)
+  sweepOffsets: [-0.1, -0.05, 0, 0.05, 0.1],  // Added to all state thresholds
+  sweepSlopeFactors: [0.5, 1, 2],             // Multiply gaining/losing slopes
+
+  // Trend Thresholds (index units/yr). null = index default
+  // (NDVI: ±0.005, Source: Peng & Gong, 2025)
+  gainingSlope: null,          // Active biomass accumulation
+  losingSlope: null,           // Active biomass decline
+  significanceLevel: 0.05,     // 95% Confidence
+
+  // Trend Estimator: 'ols' (least squares) | 'sens' (Theil-Sen, outlier robust)
+  trendMethod: 'ols',
+  // Mann-Kendall variant: 'standard' | 'prewhitened' (TFPW, annual input only)
+  // | 'hamed_rao' (variance corrected for serial autocorrelation)
+  mkVariant: 'standard',
+  // 'none' (raw per-pixel p) | 'fdr' (Benjamini-Hochberg across the ROI)
+  multipleTesting: 'none',
+
+  // Trend Input: 'scenes' (every clear observation) | 'annual' (one seasonal
+  // composite per year, equal weight per year and independent MK samples)
+  trendInput: 'scenes',
+  annualPercentile: 50,        // Annual composite reducer (50 = median)
+
+  // Quality Masking (Collection 2 QA_PIXEL / QA_RADSAT)
+  // Cloud (bit 3) and Cloud Shadow (bit 4) are always masked
+  maskDilatedCloud: true,      // Bit 1: dilated cloud edges
+  maskCirrus: true,            // Bit 2: cirrus (Landsat 8/9 only)
+  maskSnow: true,              // Bit 5: snow / ice
+  maskWater: false,            // Bit 7: water
+  maskSaturation: true,        // QA_RADSAT: any saturated band
+  maskInvalidRange: true,      // Surface reflectance outside 0-1
+  excludeSlcOff: false,        // Drop Landsat 7 scenes after the 2003 SLC failure
+
+  // Terrain Illumination: 'none' | 'c' (C-correction, Teillet et al., 1982)
+  // | 'scs_c' (SCS+C, Soenen et al., 2005), per scene from its sun angles
+  topoCorrection: 'none',
+  terrainDem: 'copernicus',    // 'copernicus' (GLO-30, global) | 'srtm' (SRTM 30 m, 56°S-60°N only)
+  maskTerrainShadow: false,    // Self and cast shadow for each scene's sun position
+
+  // Exclusion Masks: pixels that are not vegetation dynamics get no state or
+  // change class (see EXCLUSION_REASONS)
+  excludeWater: false,         // JRC Global Surface Water occurrence
+  waterOccurrence: 50,         // % of observations that were water
+  excludeBuiltUp: false,       // ESA WorldCover 2021 built-up
+  excludeCropland: false,      // ESA WorldCover 2021 cropland
+  exclusionAsset: '',          // FeatureCollection of polygons to exclude ('' = none)
+
+  // Cross-sensor Harmonization of Landsat 5/7 to OLI reflectance
+  // 'none' (Collection 2 as delivered) | 'roy_ols' | 'roy_rma' (Roy et al., 2016)
+  harmonization: 'none',
+
+  // Sentinel-2 SR (from 2017) fused into the collection: bandpass-adjusted to
+  // OLI (HLS coefficients) and averaged to 30 m. Densifies the current state
+  // and recent slope where Landsat alone has few clear scenes
+  sentinel2: false,
+  s2CloudProbability: 40,      // Max s2cloudless probability (%) of a clear pixel
+
+  // Trajectory Projection to dense canopy: 'linear' (recent slope) | 'logistic'
+  projectionModel: 'linear',
+
+  // Minimum Mapping Unit: change patches (8-connected pixels of one class)
+  // smaller than this are dropped; 0 = pixel-level map (6 px ≈ 0.5 ha)
+  mmuPixels: 0,
+  mmuMode: 'remove',           // 'remove' (→ no change) | 'reassign' (surrounding class)
+
+  // Disturbance Detection (LandTrendr)
+  disturbanceMinMagnitude: 0.15, // Minimum index drop of a loss segment
+
+  // Data Sufficiency (valid observations per pixel)
+  minObservations: 3,          // Per 5-year composite (baseline, current, epochs)
+  minTrendObservations: 10,    // Over the full trend series
+  insufficientData: 'flag',    // 'flag' (layer only) | 'mask' (hide affected classes)
+
+  // Accuracy Assessment (stratified by change class, Olofsson et al., 2014)
+  validationSampleSize: 50,    // Points per change class (1-13)
+  validationNoChangeSize: 100, // Points in the no-change stratum (0)
+  validationSeed: 42,
+  validationLabels: '',        // Asset ID of the labelled sample ('' = none yet)
+
+  // Batch Mode: the current settings run over every feature of a site
+  // FeatureCollection, summarised in one table keyed by batchIdProperty
+  batchSites: '',              // Asset ID ('' = off)
+  batchIdProperty: 'site_id',
+  batchImageExports: false,    // Also export per-site class/trend images
+
+  // Exports, queued on request (see EXPORT_PRODUCTS and EXPORT_BANDS for the keys)
+  exportProducts: ['change_classes', 'trend', 'bundle', 'area_tables'],
+  exportBands: ['change_class', 'start_class', 'end_class', 'trend_class', 'slope', 'p_value'],
+  exportCrs: 'utm',            // 'utm' (zone of the ROI centroid) | 'EPSG:4326' | 'custom'
+  exportCustomCrs: '',         // e.g. 'EPSG:3035' when exportCrs is 'custom'
+  exportTarget: 'drive',       // 'drive' | 'asset' | 'gcs' (Cloud-Optimized GeoTIFF)
+  exportDestination: ''        // Drive folder, asset folder or GCS bucket
+};
+
+// Supported spectral indices. Thresholds other than NDVI's are starting
+// points that keep the Dense/Transitional/Sparse split comparable to the
+// NDVI taxonomy; calibrate them per region. range = chart axis limits.
+var INDICES = {
+  NDVI: {
+    label: 'NDVI', range: [0, 1],
+    thresholds: { dense: 0.6, transitional: 0.4, sparse: 0.2 },
+    slopes: { gaining: 0.005, losing: -0.005 },
+    compute: function (img) {
+      return img.normalizedDifference(['NIR', 'Red']);
+    }
+  },
+  EVI: {
+    label: 'EVI', range: [0, 0.8],
+    thresholds: { dense: 0.45, transitional: 0.3, sparse: 0.15 },
+    slopes: { gaining: 0.004, losing: -0.004 },
+    compute: function (img) {
+      return img.expression('2.5 * (NIR - Red) / (NIR + 6 * Red - 7.5 * Blue + 1)', {
+        NIR: img.select('NIR'), Red: img.select('Red'), Blue: img.select('Blue')
+      });
+    }
+  },
+  NBR: {
+    label: 'NBR', range: [-0.2, 1],
+    thresholds: { dense: 0.5, transitional: 0.3, sparse: 0.1 },
+    slopes: { gaining: 0.006, losing: -0.006 },
+    compute: function (img) {
+      return img.normalizedDifference(['NIR', 'SWIR2']);
+    }
+  },
+  NDMI: {
+    label: 'NDMI', range: [-0.4, 0.8],
+    thresholds: { dense: 0.3, transitional: 0.15, sparse: 0.0 },
+    slopes: { gaining: 0.004, losing: -0.004 },
+    compute: function (img) {
+      return img.normalizedDifference(['NIR', 'SWIR1']);
+    }
+  },
+  SAVI: {
+    label: 'SAVI', range: [0, 0.8],
+    thresholds: { dense: 0.45, transitional: 0.3, sparse: 0.15 },
+    slopes: { gaining: 0.004, losing: -0.004 },
+    compute: function (img) {
+      return img.expression('1.5 * (NIR - Red) / (NIR + Red + 0.5)', {
+        NIR: img.select('NIR'), Red: img.select('Red')
+      });
+    }
+  },
+  // kNDVI = tanh(NDVI²) (Camps-Valls et al., 2021); less saturated in dense canopy
+  kNDVI: {
+    label: 'kNDVI', range: [0, 0.8],
+    thresholds: { dense: 0.35, transitional: 0.16, sparse: 0.04 },
+    slopes: { gaining: 0.004, losing: -0.004 },
+    compute: function (img) {
+      return img.normalizedDifference(['NIR', 'Red']).pow(2).tanh();
+    }
+  }
+};
+
+// Index value of an image (single band named 'VI')
+function computeIndex(image, index) {
+  return INDICES[index].compute(image).rename('VI');
+}
+
+// Resolve a settings object into the run configuration.
+// Derived values (recent window, adjusted thresholds) are computed here once
+// so every stage of the pipeline reads the same numbers.
+function buildConfig(settings) {
+  var config = {};
+  Object.keys(settings).forEach(function (key) {
+    config[key] = settings[key];
+  });
+
+  config.recentYearStart = config.endYear - 10; // Dynamic 10-year trend comparison window
 
-// SENSITIVITY ANALYSIS
-// Set to a value (e.g. ±0.05) to test threshold stability. Default 0.
-var SENSITIVITY_ADJUSTMENT = 0.0;
+  // Unset thresholds fall back to the active index defaults
+  var index = INDICES[config.index];
+  if (config.denseCanopy === null) config.denseCanopy = index.thresholds.dense;
+  if (config.transitional === null) config.transitional = index.thresholds.transitional;
+  if (config.sparse === null) config.sparse = index.thresholds.sparse;
+  if (config.gainingSlope === null) config.gainingSlope = index.slopes.gaining;
+  if (config.losingSlope === null) config.losingSlope = index.slopes.losing;
 
-// Seasonality Parameters (Months 1-12)
-// Default: June (6) to Sept (9) (Seasonal Window - Configurable)
-var START_MONTH = 6;
-var END_MONTH = 9;
+  adjustThresholds(config);
+  return config;
+}
 
-// NDVI Thresholds (Literature-validated + Sensitivity)
-var DENSE_CANOPY = 0.6 + SENSITIVITY_ADJUSTMENT;      // Dense forest canopy
-var TRANSITIONAL = 0.4 + SENSITIVITY_ADJUSTMENT;      // Transitional woodland-shrub
-var SPARSE = 0.2 + SENSITIVITY_ADJUSTMENT;            // Sparse vegetation / open land
+// Thresholds + Sensitivity (rounded to avoid floating point noise in labels).
+// Re-run whenever the base thresholds change (e.g. after calibration)
+function adjustThresholds(config) {
+  var adj = config.sensitivityAdjustment;
+  config.thresholds = {
+    dense: Number((config.denseCanopy + adj).toFixed(3)),
+    transitional: Number((config.transitional + adj).toFixed(3)),
+    sparse: Number((config.sparse + adj).toFixed(3))
+  };
+}
 
-// Trend Thresholds (Source: Peng & Gong, 2025)
-var GAINING_SLOPE = 0.005;   // Active biomass accumulation
-var LOSING_SLOPE = -0.005;   // Active biomass decline
+// Returns a list of human-readable problems (empty if the config is usable)
+function validateConfig(config) {
+  var errors = [];
+  var t = config.thresholds;
+  // Baseline and current states are 5-year composites and must not overlap
+  if (config.endYear - config.startYear < 9) {
+    errors.push('Analysis period must span at least 10 years.');
+  }
+  if (!(t.sparse < t.transitional && t.transitional < t.dense)) {
+    errors.push('Thresholds must satisfy Sparse < Transitional < Dense.');
+  }
+  if (config.gainingSlope <= 0 || config.losingSlope >= 0) {
+    errors.push('Gaining slope must be > 0 and losing slope < 0.');
+  }
+  // Lag-1 prewhitening needs a regular (one value per year) series
+  if (config.mkVariant === 'prewhitened' && config.trendInput !== 'annual') {
+    errors.push('Prewhitened Mann-Kendall requires annual composite trend input.');
+  }
+  if (config.mmuPixels < 0 || config.mmuPixels > MMU_MAX_PIXELS) {
+    errors.push('Minimum mapping unit must be 0-' + MMU_MAX_PIXELS + ' pixels.');
+  }
+  if (config.exportCrs === 'custom' && !/^EPSG:\d+$/.test(config.exportCustomCrs)) {
+    errors.push('Custom export CRS must be an EPSG code (e.g. EPSG:3035).');
+  }
+  if (config.exportTarget !== 'drive' && !config.exportDestination) {
+    errors.push('Asset and Cloud Storage exports need a destination folder or bucket.');
+  }
+  return errors;
+}
 
-// Region of Interest
+// Region of Interest (replaceable later from the ROI panel)
 var roi = roi || null;
+var roiLabel = 'imported geometry';
 if (typeof roi === 'undefined' || roi === null) {
   // Default fallback if undefined
   // Fallback: A known deforestation hotspot in Rondonia, Brazil
@@ -62,6 +331,7 @@ if (typeof roi === 'undefined' || roi === null) {
     [-63.0, -10.0], [-62.5, -10.0], [-62.5, -9.5], [-63.0, -9.5]
   ]);
   print('⚠️ WARNING: No ROI defined. Using default reproducible area (Rondonia, Brazil).');
+  roiLabel = 'default (Rondonia, Brazil)';
   Map.centerObject(roi, 10);
 } else {
   Map.centerObject(roi);
@@ -71,672 +341,4001 @@ if (typeof roi === 'undefined' || roi === null) {
 
 var SECONDS_PER_YEAR = 31536000000;
 
-function getQaMask(image) {
-  var qa = image.select('QA_PIXEL');
-  // Mask Cloud (bit 3) and Cloud Shadow (bit 4)
-  return qa.bitwiseAnd(1 << 3).eq(0).and(qa.bitwiseAnd(1 << 4).eq(0));
-}
+// Collection 2 QA_PIXEL bit positions
+var QA_BITS = { fill: 0, dilatedCloud: 1, cirrus: 2, cloud: 3, cloudShadow: 4, snow: 5, water: 7 };
 
-function maskL57(image) {
-  return image.updateMask(getQaMask(image))
-    .select(['SR_B3', 'SR_B4'], ['Red', 'NIR'])
-    .multiply(0.0000275).add(-0.2)
-    .copyProperties(image, ['system:time_start']);
-}
+// Last Landsat 7 acquisition before the Scan Line Corrector failure
+var SLC_OFF_DATE = '2003-05-31';
+
+// Builds the per-scene quality test from config.
+// Returns function (image, reflectance) -> 1 where the observation is usable
+function buildQaMask(config) {
+  var bits = [QA_BITS.cloud, QA_BITS.cloudShadow];
+  if (config.maskDilatedCloud) bits.push(QA_BITS.dilatedCloud);
+  if (config.maskCirrus) bits.push(QA_BITS.cirrus);
+  if (config.maskSnow) bits.push(QA_BITS.snow);
+  if (config.maskWater) bits.push(QA_BITS.water);
+  var qaBits = bits.reduce(function (acc, bit) { return acc | (1 << bit); }, 0);
 
-function maskL89(image) {
-  return image.updateMask(getQaMask(image))
-    .select(['SR_B4', 'SR_B5'], ['Red', 'NIR'])
-    .multiply(0.0000275).add(-0.2)
-    .copyProperties(image, ['system:time_start']);
+  return function (image, reflectance) {
+    var mask = image.select('QA_PIXEL').bitwiseAnd(qaBits).eq(0);
+    if (config.maskSaturation) {
+      mask = mask.and(image.select('QA_RADSAT').eq(0));
+    }
+    if (config.maskInvalidRange) {
+      mask = mask
+        .and(reflectance.reduce(ee.Reducer.min()).gte(0))
+        .and(reflectance.reduce(ee.Reducer.max()).lte(1));
+    }
+    return mask;
+  };
 }
 
-// Optimization: Apply filters as early as possible
-var seasonalFilter = ee.Filter.calendarRange(START_MONTH, END_MONTH, 'month');
+// Surface reflectance bands carried through the pipeline (all indices and
+// the true colour comparison composites)
+var SR_BANDS = ['Blue', 'Green', 'Red', 'NIR', 'SWIR1', 'SWIR2'];
 
-var l5 = ee.ImageCollection("LANDSAT/LT05/C02/T1_L2").filterBounds(roi).map(maskL57);
-var l7 = ee.ImageCollection("LANDSAT/LE07/C02/T1_L2").filterBounds(roi).map(maskL57);
-var l8 = ee.ImageCollection("LANDSAT/LC08/C02/T1_L2").filterBounds(roi).map(maskL89);
-var l9 = ee.ImageCollection("LANDSAT/LC09/C02/T1_L2").filterBounds(roi).map(maskL89);
+// Values of the per-image 'sensor' property
+var SENSORS = { landsat: 'Landsat', sentinel2: 'Sentinel-2' };
 
-// Consolidated collection with global seasonal filter applied once
-var fullCollection = l5.merge(l7).merge(l8).merge(l9)
-  .filter(seasonalFilter);
+// Fully masked stand-in merged into possibly empty collections, so composites
+// and counts of periods without clear scenes are masked rather than band-less
+var EMPTY_REFLECTANCE = ee.Image.constant(SR_BANDS.map(function () { return 0; })).rename(SR_BANDS).updateMask(0);
+
+// Scales SR, applies the quality mask and adds a 'clear' band
+// (1 = usable, 0 = masked, masked where the scene has no data) for the
+// masked-fraction diagnostic.
+// SPACECRAFT_ID and 'sensor' are kept so composites and charts can be split by sensor
+// terrain (optional, see buildTerrainCorrection) corrects the reflectance
+// and adds its shadow mask.
+function applyQaMask(image, srBands, qaMask, terrain) {
+  var sr = image.select(srBands, SR_BANDS).multiply(0.0000275).add(-0.2);
+  var usable = qaMask(image, sr);
+  if (terrain) {
+    var sun = { azimuth: image.get('SUN_AZIMUTH'), zenith: ee.Number(90).subtract(image.get('SUN_ELEVATION')) };
+    var corrected = terrain(sr.updateMask(usable), sun);
+    sr = corrected.reflectance;
+    usable = usable.and(corrected.lit);
+  }
+  usable = usable.unmask(0);
+  var observed = image.select('QA_PIXEL').bitwiseAnd(1 << QA_BITS.fill).eq(0);
+  return sr.updateMask(usable)
+    .addBands(usable.rename('clear').updateMask(observed))
+    .copyProperties(image, ['system:time_start', 'SPACECRAFT_ID'])
+    .set('sensor', SENSORS.landsat);
+}
 
-// 3. COMPUTE NDVI STATES
+function maskL57(image, qaMask, terrain) {
+  return applyQaMask(image, ['SR_B1', 'SR_B2', 'SR_B3', 'SR_B4', 'SR_B5', 'SR_B7'], qaMask, terrain);
+}
 
-function getSeasonalComposite(startDate, endDate) {
-  // fullCollection is already filtered by season, only date filter needed
-  return fullCollection.filterDate(startDate, endDate)
-    .median()
-    .normalizedDifference(['NIR', 'Red']);
+function maskL89(image, qaMask, terrain) {
+  return applyQaMask(image, ['SR_B2', 'SR_B3', 'SR_B4', 'SR_B5', 'SR_B6', 'SR_B7'], qaMask, terrain);
 }
 
-// Baseline (startYear to startYear+4) and Current (endYear-4 to endYear) states
-// Using 5-year averages for stable state definition
-var startNDVI = getSeasonalComposite(startYear + '-01-01', (startYear + 4) + '-12-31');
-var endNDVI = getSeasonalComposite((endYear - 4) + '-01-01', endYear + '-12-31');
+// Cross-sensor transformation ETM+ → OLI, [slope, intercept] per band
+// (Roy et al., 2016, Table 2). Applied to TM as well, as is common practice.
+var HARMONIZATION_MODES = {
+  none: { label: 'None (C2 native)', tag: 'C2' },
+  roy_ols: {
+    label: 'Roy et al. 2016 (OLS)', tag: 'RoyOLS',
+    coefficients: {
+      Blue: [0.8474, 0.0003], Green: [0.8483, 0.0088], Red: [0.9047, 0.0061],
+      NIR: [0.8462, 0.0412], SWIR1: [0.8937, 0.0254], SWIR2: [0.9071, 0.0172]
+    }
+  },
+  roy_rma: {
+    label: 'Roy et al. 2016 (RMA)', tag: 'RoyRMA',
+    coefficients: {
+      Blue: [0.9785, -0.0095], Green: [0.9542, -0.0016], Red: [0.9825, -0.0022],
+      NIR: [1.0073, -0.0021], SWIR1: [1.0171, -0.0030], SWIR2: [0.9949, 0.0029]
+    }
+  }
+};
 
-// Vegetation class: 1=Dense, 2=Transitional, 3=Sparse, 4=Bare
-function classifyNDVI(ndvi) {
-  return ee.Image(4)
-    .where(ndvi.gte(SPARSE), 3)
-    .where(ndvi.gte(TRANSITIONAL), 2)
-    .where(ndvi.gte(DENSE_CANOPY), 1);
+// Returns a mapper that rescales Landsat 5/7 bands to OLI-equivalent reflectance
+function harmonizeToOLI(mode) {
+  var coefficients = HARMONIZATION_MODES[mode].coefficients;
+  var bands = Object.keys(coefficients);
+  var slopes = ee.Image.constant(bands.map(function (b) { return coefficients[b][0]; }));
+  var intercepts = ee.Image.constant(bands.map(function (b) { return coefficients[b][1]; }));
+  return function (image) {
+    var harmonized = image.select(bands).multiply(slopes).add(intercepts);
+    return image.addBands(harmonized, null, true);
+  };
 }
 
-var startClass = classifyNDVI(startNDVI);
-var endClass = classifyNDVI(endNDVI);
+// Consolidated Landsat 5/7/8/9 collection (plus Sentinel-2 when
+// config.sentinel2 is set) for a region and seasonal window
+function getLandsatCollection(region, config) {
+  // Optimization: Apply filters as early as possible
+  var seasonalFilter = ee.Filter.calendarRange(config.startMonth, config.endMonth, 'month');
 
-// 4. TREND ANALYSIS (Full period) with Statistical Significance
+  var qaMask = buildQaMask(config);
+  var terrain = buildTerrainCorrection(config, region);
+  var withL57Mask = function (img) { return maskL57(img, qaMask, terrain); };
+  var withL89Mask = function (img) { return maskL89(img, qaMask, terrain); };
 
-// Optimization: Pre-compute NDVI and time band once for all trend calculations
-// This avoids repeated mapping and filtering
-var trendSeries = fullCollection
-  .filterDate(startYear + '-01-01', endYear + '-12-31')
-  .map(function (img) {
-    var ndvi = img.normalizedDifference(['NIR', 'Red']).rename('NDVI');
-    // Note: Divide by SECONDS_PER_YEAR (approx 365 days).
-    var t = ee.Image.constant(img.get('system:time_start')).divide(SECONDS_PER_YEAR).float().rename('t');
-    return ndvi.addBands(t).copyProperties(img, ['system:time_start']);
-  });
+  var l7Raw = ee.ImageCollection("LANDSAT/LE07/C02/T1_L2").filterBounds(region);
+  if (config.excludeSlcOff) {
+    l7Raw = l7Raw.filterDate('1999-01-01', SLC_OFF_DATE);
+  }
 
-// 1. Linear Slope (Magnitude of change)
-var linearFit = trendSeries.select(['t', 'NDVI'])
-  .reduce(ee.Reducer.linearFit());
+  var l5 = ee.ImageCollection("LANDSAT/LT05/C02/T1_L2").filterBounds(region).map(withL57Mask);
+  var l7 = l7Raw.map(withL57Mask);
+  if (config.harmonization !== 'none') {
+    l5 = l5.map(harmonizeToOLI(config.harmonization));
+    l7 = l7.map(harmonizeToOLI(config.harmonization));
+  }
+  var l8 = ee.ImageCollection("LANDSAT/LC08/C02/T1_L2").filterBounds(region).map(withL89Mask);
+  var l9 = ee.ImageCollection("LANDSAT/LC09/C02/T1_L2").filterBounds(region).map(withL89Mask);
 
-var slope = linearFit.select('scale');
+  var merged = l5.merge(l7).merge(l8).merge(l9);
+  if (config.sentinel2) {
+    merged = merged.merge(getSentinel2Collection(region, config, terrain));
+  }
 
-// 2. Statistical Significance (Kendall's Tau)
-// Non-parametric test robust to noise and non-normality
-var kendall = trendSeries.select('NDVI') // Reducer assumes time series input
-  .reduce(ee.Reducer.kendallsCorrelation());
+  // Global seasonal filter applied once
+  return merged.filter(seasonalFilter);
+}
 
-var pValue = kendall.select('NDVI_p-value');
-var SIGNIFICANCE_LEVEL = 0.05; // 95% Confidence
+// Share of in-season scenes over the analysis period whose observation was
+// removed by the quality mask (0 = all clear, 1 = never usable)
+function computeMaskedFraction(a) {
+  var cfg = a.config;
+  a.maskedFraction = ee.Image(1).subtract(
+    a.fullCollection
+      .filterDate(cfg.startYear + '-01-01', cfg.endYear + '-12-31')
+      .select('clear')
+      .mean()
+  ).rename('masked_fraction');
+}
 
-// Recent Trend (Dynamic)
-// Reuse the prepared trendSeries
-var recentFit = trendSeries
-  .filterDate(recentYearStart + '-01-01', endYear + '-12-31')
-  .select(['t', 'NDVI'])
-  .reduce(ee.Reducer.linearFit());
+// 2a. SENTINEL-2 FUSION
 
-var recentSlope = recentFit.select('scale').rename('recent_slope');
+// Sentinel-2 bands matching SR_BANDS (narrow NIR B8A, as in HLS)
+var S2_BANDS = ['B2', 'B3', 'B4', 'B8A', 'B11', 'B12'];
 
-// Trend class: 1=Gaining, 2=Stable, 3=Losing
-// MASKED by statistical significance (p < 0.05)
-var significantTrend = pValue.lt(SIGNIFICANCE_LEVEL);
+// MSI → OLI bandpass adjustment, [slope, intercept] per band
+// (HLS, Claverie et al., 2018)
+var S2_BANDPASS = {
+  Blue: [0.9778, -0.004], Green: [1.0053, -0.0009], Red: [0.9765, 0.0009],
+  NIR: [0.9983, -0.0001], SWIR1: [0.9987, -0.0011], SWIR2: [1.003, -0.0012]
+};
 
-var trendClass = ee.Image(2) // Default to Stable
-  .where(slope.gt(GAINING_SLOPE).and(significantTrend), 1)
-  .where(slope.lt(LOSING_SLOPE).and(significantTrend), 3);
+// Scene Classification (SCL) values treated like the Landsat QA bits
+var SCL = { noData: 0, saturated: 1, cloudShadow: 3, water: 6, cloudMedium: 8, cloudHigh: 9, cirrus: 10, snow: 11 };
 
-// 5. CHANGE CLASSIFICATION (Simplified Taxonomy)
-// Primarily driven by State Change (Robust Median Comparison)
-// Trend Analysis used only for intra-class dynamics (Densification)
+var S2_SCALE = 30;  // Metres; matches the Landsat grid spacing
 
-var changeClass = ee.Image(0);
+// Masks a Sentinel-2 SR scene (SCL classes from config plus the joined
+// s2cloudless probability), adjusts it to OLI and averages it to 30 m.
+// Output bands and properties match applyQaMask, including the optional
+// terrain correction.
+function maskS2(image, config, terrain) {
+  var scl = image.select('SCL');
+  var excluded = [SCL.cloudShadow, SCL.cloudMedium, SCL.cloudHigh];
+  if (config.maskCirrus) excluded.push(SCL.cirrus);
+  if (config.maskSnow) excluded.push(SCL.snow);
+  if (config.maskWater) excluded.push(SCL.water);
+  if (config.maskSaturation) excluded.push(SCL.saturated);
 
-// 1. Canopy Loss        (Dense → Sparse/Bare)
-changeClass = changeClass.where(
-  startClass.eq(1).and(endClass.gte(3)), 1);
+  var bands = Object.keys(S2_BANDPASS);
+  var sr = image.select(S2_BANDS, SR_BANDS).divide(10000)
+    .multiply(ee.Image.constant(bands.map(function (b) { return S2_BANDPASS[b][0]; })))
+    .add(ee.Image.constant(bands.map(function (b) { return S2_BANDPASS[b][1]; })))
+    .rename(SR_BANDS);
 
-// 2. Degradation        (Dense → Transitional)
-changeClass = changeClass.where(
-  startClass.eq(1).and(endClass.eq(2)), 2);
+  var cloudProbability = ee.Image(image.get('cloud_probability')).select('probability');
+  var usable = scl.remap(excluded, excluded.map(function () { return 0; }), 1)
+    .and(cloudProbability.lt(config.s2CloudProbability));
+  if (config.maskInvalidRange) {
+    usable = usable
+      .and(sr.reduce(ee.Reducer.min()).gte(0))
+      .and(sr.reduce(ee.Reducer.max()).lte(1));
+  }
+  if (terrain) {
+    var sun = { azimuth: image.get('MEAN_SOLAR_AZIMUTH_ANGLE'), zenith: image.get('MEAN_SOLAR_ZENITH_ANGLE') };
+    var corrected = terrain(sr.updateMask(usable), sun);
+    sr = corrected.reflectance;
+    usable = usable.and(corrected.lit);
+  }
+  usable = usable.unmask(0);
 
-// 3. Emerging Biomass   (Sparse → Transitional)
-changeClass = changeClass.where(
-  startClass.eq(3).and(endClass.eq(2)), 3);
+  return sr.updateMask(usable)
+    .addBands(usable.rename('clear').updateMask(scl.neq(SCL.noData)))
+    .reduceResolution({ reducer: ee.Reducer.mean(), maxPixels: 16 })
+    .reproject({ crs: image.select('B4').projection().crs(), scale: S2_SCALE })
+    .copyProperties(image, ['system:time_start'])
+    .set({ SPACECRAFT_ID: 'SENTINEL_2', sensor: SENSORS.sentinel2 });
+}
 
-// 4. Maturation         (Transitional → Dense)
-changeClass = changeClass.where(
-  startClass.eq(2).and(endClass.eq(1)), 4);
+// Masked, OLI-adjusted Sentinel-2 SR for a region (all dates; the caller
+// applies the seasonal filter)
+function getSentinel2Collection(region, config, terrain) {
+  var s2 = ee.ImageCollection('COPERNICUS/S2_SR_HARMONIZED').filterBounds(region);
+  var probability = ee.ImageCollection('COPERNICUS/S2_CLOUD_PROBABILITY').filterBounds(region);
+  var joined = ee.Join.saveFirst('cloud_probability').apply({
+    primary: s2,
+    secondary: probability,
+    condition: ee.Filter.equals({ leftField: 'system:index', rightField: 'system:index' })
+  });
+  return ee.ImageCollection(joined).map(function (img) { return maskS2(img, config, terrain); });
+}
 
-// 5. Canopy Densification (Dense → Dense + Gaining)
-changeClass = changeClass.where(
-  startClass.eq(1).and(endClass.eq(1)).and(trendClass.eq(1)), 5);
+// Scene index series with one extra band per sensor (VI masked elsewhere),
+// so charts can colour points by sensor. Band order: VI, Landsat, Sentinel-2
+function splitBySensor(series) {
+  var sensors = [SENSORS.landsat, SENSORS.sentinel2];
+  return ee.ImageCollection(sensors.map(function (sensor) {
+    return series.filter(ee.Filter.eq('sensor', sensor)).map(function (img) {
+      var vi = img.select('VI');
+      return ee.Image.cat([vi].concat(sensors.map(function (other) {
+        return (other === sensor ? vi : vi.updateMask(0)).rename(other);
+      }))).copyProperties(img, ['system:time_start']);
+    });
+  })).flatten();
+}
 
-// 6. Canopy Establishment (Sparse/Bare → Dense)
-var establishmentMask = startClass.gte(3).and(endClass.eq(1));
-changeClass = changeClass.where(establishmentMask, 6);
+// 2b. SEASONAL WINDOW
 
-// 7. Sparse Accumulation (Sparse → Sparse + Gaining)
-var sparseStable = startClass.eq(3).and(endClass.eq(3));
-var isGaining = trendClass.eq(1).or(recentSlope.gt(GAINING_SLOPE));
-changeClass = changeClass.where(sparseStable.and(isGaining), 7);
+var MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
 
-// 8. Transitional Accumulation (Trans → Trans + Gaining)
-var transStable = startClass.eq(2).and(endClass.eq(2));
-changeClass = changeClass.where(transStable.and(isGaining), 8);
+var AUTO_SEASON_MODES = {
+  off: { label: 'Off (manual months)' },
+  latitude: { label: 'ROI latitude' },
+  climatology: { label: 'Index climatology' }
+};
 
-changeClass = changeClass.rename('change_class');
+// Windows by absolute centroid latitude. Extratropical sites use the peak
+// growing season. Within the tropics the green season depends on the local
+// rainfall regime rather than latitude (a fixed dry-season window such as
+// Jun-Sep in Rondonia is the least green part of the year), so those bands
+// defer to the index climatology.
+var SEASON_BY_LATITUDE = [
+  { maxLat: 23.5, name: 'tropical', climatology: true },
+  { maxLat: 90, name: 'extratropical', north: [6, 9], south: [12, 3] }
+];
 
-// 6. CANOPY ESTABLISHMENT EPOCHS (Dynamic Generation)
+var SEASON_LENGTH = 4;          // Months in a climatology-derived window
+var CLIMATOLOGY_SCALE = 500;    // Metres; the climatology is an ROI mean
 
-var epochs = [];
-// Generate 5-year epochs starting from startYear + 5 (since first 5 are baseline)
-for (var y = startYear + 5; y <= endYear;) {
-  var nextStart = y + 5;
-  var yearsRemaining = endYear - nextStart + 1;
-
-  if (yearsRemaining < 3) {
-    // Merge remainder into this epoch and finish
-    epochs.push({ start: y, end: endYear, label: y });
-    break;
-  } else {
-    // Standard 5-year bin
-    epochs.push({ start: y, end: y + 4, label: y });
-    y += 5;
-  }
+// e.g. 'Jun-Sep'
+function describeSeason(config) {
+  return MONTH_NAMES[config.startMonth - 1] + '-' + MONTH_NAMES[config.endMonth - 1];
 }
 
-var epochCollection = ee.ImageCollection.fromImages(
-  epochs.map(function (epoch) {
-    var img = getSeasonalComposite(epoch.start + '-01-01', epoch.end + '-12-31');
-    return img.gte(DENSE_CANOPY)
-      .multiply(epoch.label)
-      .selfMask()
-      .toInt()
-      .rename('epoch')
-      .set('epoch', epoch.label);
-  })
-);
+// Mean ROI index per calendar month over the analysis period (all 12 months,
+// not just the configured window). Months without clear scenes are null.
+function getMonthlyClimatology(region, config) {
+  var yearRound = {};
+  Object.keys(config).forEach(function (key) { yearRound[key] = config[key]; });
+  yearRound.startMonth = 1;
+  yearRound.endMonth = 12;
 
-var epochValidMask = startClass.gte(2).and(endClass.eq(1));
-var establishmentEpoch = epochCollection.min().updateMask(epochValidMask);
+  var series = getLandsatCollection(region, yearRound)
+    .filterDate(config.startYear + '-01-01', config.endYear + '-12-31')
+    .map(function (img) { return computeIndex(img, config.index); });
 
-// 7. TRAJECTORY PROJECTION (Sigmoid-based)
+  return ee.List.sequence(1, 12).map(function (m) {
+    var stats = series.filter(ee.Filter.calendarRange(m, m, 'month')).median().reduceRegion({
+      reducer: ee.Reducer.mean(),
+      geometry: region,
+      scale: CLIMATOLOGY_SCALE,
+      bestEffort: true
+    });
+    // A month without scenes gives a band-less median and an empty dictionary
+    return ee.Algorithms.If(stats.contains('VI'), stats.get('VI'), null);
+  });
+}
 
-var yearsToThreshold = endNDVI.subtract(DENSE_CANOPY).abs()
-  .divide(recentSlope.abs())
-  .where(recentSlope.lte(0), 9999)  // No projection for non-gaining
-  .where(endNDVI.gte(DENSE_CANOPY), 0)  // Already at threshold
-  .clamp(0, 50)
-  .rename('years_to_canopy');
+// Start month of the SEASON_LENGTH-month window (wrapping the year) with the
+// highest mean index; windows touching a month without data are skipped
+function greenestWindow(monthly) {
+  var best = null;
+  var bestMean = -Infinity;
+  for (var start = 0; start < 12; start++) {
+    var sum = 0;
+    for (var k = 0; k < SEASON_LENGTH; k++) {
+      var v = monthly[(start + k) % 12];
+      if (v === null || v === undefined) { sum = null; break; }
+      sum += v;
+    }
+    if (sum !== null && sum / SEASON_LENGTH > bestMean) {
+      bestMean = sum / SEASON_LENGTH;
+      best = start + 1;
+    }
+  }
+  return best;
+}
 
-var projectionMask = trendClass.eq(1).and(endClass.gt(1));
-var yearsToCanopy = yearsToThreshold.updateMask(projectionMask);
+// Resolves config.startMonth/endMonth for the autoSeason mode, records how
+// in config.seasonSource, and passes the config on. Needs a round trip to the
+// server for the centroid or climatology, so the result arrives via callback.
+// Falls back to the manual months if the lookup fails.
+function resolveSeason(config, region, callback) {
+  if (config.autoSeason === 'off') {
+    config.seasonSource = 'manual';
+    callback(config);
+    return;
+  }
 
-// 8. VISUALIZATION
+  var fallback = function (reason) {
+    config.seasonSource = 'manual (' + reason + ')';
+    callback(config);
+  };
 
-Map.centerObject(roi);
+  var fromClimatology = function (prefix) {
+    getMonthlyClimatology(region, config).evaluate(function (monthly, error) {
+      if (error) return fallback(prefix + 'climatology failed');
+      var start = greenestWindow(monthly);
+      if (start === null) return fallback(prefix + 'sparse climatology');
+      config.startMonth = start;
+      config.endMonth = (start + SEASON_LENGTH - 2) % 12 + 1;
+      config.seasonSource = 'auto, ' + prefix + 'greenest ' + SEASON_LENGTH + ' months of ' +
+        config.index + ' climatology';
+      callback(config);
+    });
+  };
 
-var classNames = {
-  1: 'Canopy Loss',
-  2: 'Degradation',
-  3: 'Emerging Biomass',
-  4: 'Maturation',
-  5: 'Densification',
-  6: 'Establishment',
-  7: 'Sparse Accumulation',
-  8: 'Transitional Accumulation'
-};
+  if (config.autoSeason !== 'latitude') {
+    fromClimatology('');
+    return;
+  }
 
-var changeViz = {
-  min: 1,
-  max: 8,
-  palette: [
-    'D7191C', // 1. Loss
-    'FDAE61', // 2. Degradation
-    'A6D96A', // 3. Emerging
-    '008837', // 4. Maturation
-    '00441B', // 5. Densification
-    '2C7BB6', // 6. Establishment
-    'D9F0D3', // 7. Sparse Accumulation
-    '74C476'  // 8. Transitional Accumul.
-  ]
-};
-Map.addLayer(changeClass.updateMask(changeClass.gt(0)), changeViz, 'Vegetation Change');
+  region.centroid(1000).coordinates().get(1).evaluate(function (lat, error) {
+    if (error || lat === null) return fallback('centroid unavailable');
+    var band = SEASON_BY_LATITUDE.filter(function (b) { return Math.abs(lat) <= b.maxLat; })[0];
+    var where = band.name + ' ' + (lat >= 0 ? 'north' : 'south') + ' (' + lat.toFixed(1) + '°)';
+    if (band.climatology) {
+      fromClimatology(where + ', ');
+      return;
+    }
+    var months = lat >= 0 ? band.north : band.south;
+    config.startMonth = months[0];
+    config.endMonth = months[1];
+    config.seasonSource = 'auto, ' + where;
+    callback(config);
+  });
+}
 
-var epochViz = {
-  min: epochs.length > 0 ? epochs[0].label : 1990,
-  max: epochs.length > 0 ? epochs[epochs.length - 1].label : 2020,
-  palette: ['08306b', '2171b5', '4eb3d3', '7fcdbb', 'c7e9b4', 'ffffb2', 'fd8d3c']
-};
-Map.addLayer(establishmentEpoch, epochViz, 'Canopy Gain Epoch (Est. + Mat.)', false);
+// 2c. TERRAIN ILLUMINATION CORRECTION
+// Slopes facing away from the sun are darker in Red/NIR, and the sun angle of
+// composites changes between decades. Reflectance is normalised to a flat
+// surface with the illumination cos(i) of each scene:
+//   C-correction: ρ · (cos z + c) / (cos i + c)
+//   SCS+C:        ρ · (cos s · cos z + c) / (cos i + c)
+// with c = intercept / slope of ρ regressed on cos(i) over the ROI.
 
-var projViz = {
-  min: 0,
-  max: 30,
-  palette: ['00FF00', 'FFFF00', 'FF0000']
+var TOPO_CORRECTIONS = {
+  none: { label: 'None', tag: '' },
+  c: { label: 'C-correction', tag: 'TopoC' },
+  scs_c: { label: 'SCS+C', tag: 'TopoSCSC' }
 };
-Map.addLayer(yearsToCanopy, projViz, 'Years to Dense Canopy (Theoretical)', false);
 
-// 8b. SUPPLEMENTARY DATA LAYERS
-
-var trendViz = {
-  min: 1,
-  max: 3,
-  palette: ['228B22', 'CCCCCC', 'FF0000']
+var TERRAIN_DEMS = {
+  srtm: {
+    label: 'SRTM 30 m (56°S-60°N)',
+    image: function () { return ee.Image('USGS/SRTMGL1_003').select('elevation'); }
+  },
+  copernicus: {
+    label: 'Copernicus GLO-30',
+    image: function () {
+      var glo30 = ee.ImageCollection('COPERNICUS/DEM/GLO30').select('DEM');
+      // The mosaic needs a projection for ee.Terrain
+      return glo30.mosaic().setDefaultProjection(glo30.first().projection());
+    }
+  }
 };
-var significantTrendLayer = trendClass.updateMask(significantTrend);
-Map.addLayer(significantTrendLayer, trendViz, 'Statistical Trends (All Classes)', false);
 
-var slopeViz = {
-  min: -0.015,
-  max: 0.015,
-  palette: ['a50026', 'd73027', 'f46d43', 'fdae61', 'fee08b', 'ffffbf', 'd9ef8b', 'a6d96a', '66bd63', '1a9850', '006837']
-};
-Map.addLayer(slope.updateMask(significantTrend), slopeViz, 'Trend Magnitude (Slope)', false);
+var TERRAIN_FIT_SCALE = 300;     // Metres; sampling of the per-scene c regression
+var HILL_SHADOW_NEIGHBORHOOD = 100;  // Pixels searched for cast shadow
+var DEG = Math.PI / 180;
 
-// DYNAMIC LEGEND
-var legend = ui.Panel({
-  style: { position: 'bottom-left', padding: '10px 14px', backgroundColor: 'white', maxWidth: '280px' }
-});
-Map.add(legend);
+// DEM slope and aspect (degrees) for the inspector
+function getTerrain(config) {
+  return ee.Terrain.terrain(TERRAIN_DEMS[config.terrainDem].image())
+    .select(['slope', 'aspect'], ['dem_slope', 'dem_aspect']);
+}
 
-function makeRow(color, name, desc) {
-  var colorBox = ui.Label({ style: { backgroundColor: '#' + color, padding: '10px', margin: '0 8px 6px 0' } });
-  var textPanel = ui.Panel({
-    widgets: [
-      ui.Label({ value: name, style: { fontWeight: 'bold', fontSize: '11px', margin: '0' } }),
-      ui.Label({ value: desc, style: { fontSize: '9px', color: '555555', margin: '0' } })
-    ],
-    style: { margin: '0' }
-  });
-  return ui.Panel({ widgets: [colorBox, textPanel], layout: ui.Panel.Layout.Flow('horizontal'), style: { margin: '0 0 2px 0' } });
+// 8-point compass name of an aspect in degrees (0 = north, clockwise)
+function compassDirection(degrees) {
+  return ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'][Math.round(degrees / 45) % 8];
 }
 
-function updateLegend(layerName) {
-  legend.clear();
+// Returns function (reflectance, sun) -> { reflectance, lit } for the
+// configured correction and shadow mask, or null when both are off.
+// sun: { azimuth, zenith } in degrees; lit = 1 outside terrain shadow.
+function buildTerrainCorrection(config, region) {
+  if (config.topoCorrection === 'none' && !config.maskTerrainShadow) return null;
+  var dem = TERRAIN_DEMS[config.terrainDem].image();
+  var terrain = ee.Terrain.terrain(dem);
+  var slope = terrain.select('slope').multiply(DEG);
+  var aspect = terrain.select('aspect').multiply(DEG);
 
-  if (layerName === 'Canopy Gain Epoch (Est. + Mat.)') {
-    legend.add(ui.Label({ value: 'Canopy Gain Epoch', style: { fontWeight: 'bold', fontSize: '14px', margin: '0 0 4px 0' } }));
-    legend.add(ui.Label({ value: 'When area first reached dense canopy', style: { fontSize: '10px', color: '666666', margin: '0 0 10px 0' } }));
+  return function (reflectance, sun) {
+    var zenith = ee.Number(sun.zenith).multiply(DEG);
+    var azimuth = ee.Number(sun.azimuth).multiply(DEG);
+    var cosZ = zenith.cos();
+    var cosI = slope.cos().multiply(cosZ)
+      .add(slope.sin().multiply(zenith.sin()).multiply(aspect.subtract(azimuth).cos()))
+      .rename('cos_i');
 
-    var palette = epochViz.palette;
-    for (var i = 0; i < epochs.length; i++) {
-      var e = epochs[i];
-      var color = palette[i % palette.length];
-      var label = e.start + '-' + e.end;
-      var desc = (i === 0) ? 'Earliest' : ((i === epochs.length - 1) ? 'Latest' : '');
-      legend.add(makeRow(color, label, desc));
+    var lit = ee.Image(1);
+    if (config.maskTerrainShadow) {
+      var castLit = ee.Terrain.hillShadow(dem, sun.azimuth, sun.zenith, HILL_SHADOW_NEIGHBORHOOD, true);
+      // Outside the DEM coverage nothing is treated as shadow
+      lit = cosI.gt(0).and(castLit).unmask(1);
+    }
+    if (config.topoCorrection === 'none') {
+      return { reflectance: reflectance, lit: lit };
     }
 
-  } else if (layerName === 'Years to Dense Canopy (Theoretical)') {
-    legend.add(ui.Label({ value: 'Years to Dense Canopy', style: { fontWeight: 'bold', fontSize: '14px', margin: '0 0 4px 0' } }));
-    legend.add(ui.Label({ value: 'Theoretical Linear Projection', style: { fontSize: '10px', color: '666666', margin: '0 0 10px 0' } }));
-    legend.add(makeRow('00FF00', '0-5 years', 'Imminent'));
-    legend.add(makeRow('7FFF00', '5-10 years', ''));
-    legend.add(makeRow('FFFF00', '10-20 years', ''));
-    legend.add(makeRow('FF7F00', '20-30 years', ''));
-    legend.add(makeRow('FF0000', '>30 years', 'Distant'));
+    // One regression per scene: row 0 = intercepts, row 1 = slopes per band
+    var fit = ee.Image.cat([ee.Image(1).rename('constant'), cosI, reflectance])
+      .updateMask(cosI.gt(0))
+      .reduceRegion({
+        reducer: ee.Reducer.linearRegression(2, SR_BANDS.length),
+        geometry: region,
+        scale: TERRAIN_FIT_SCALE,
+        bestEffort: true
+      }).get('coefficients');
+    // A scene without clear pixels in the ROI is left uncorrected
+    var coefficients = ee.Array(ee.Algorithms.If(fit, fit, ee.Array(ee.List.repeat(ee.List.repeat(0, SR_BANDS.length), 2))));
+    var toBands = function (row) { return ee.Image(row).arrayProject([1]).arrayFlatten([SR_BANDS]); };
+    var gain = toBands(coefficients.slice(0, 1, 2));
+    var c = toBands(coefficients.slice(0, 0, 1).divide(coefficients.slice(0, 1, 2)));
 
-  } else if (layerName === 'Statistical Trends (All Classes)') {
-    legend.add(ui.Label({ value: 'Statistical Trends (MK Test)', style: { fontWeight: 'bold', fontSize: '14px', margin: '0 0 4px 0' } }));
-    legend.add(ui.Label({ value: 'Significant trends (p < 0.05) across all strata', style: { fontSize: '10px', color: '666666', margin: '0 0 10px 0' } }));
-    legend.add(makeRow('228B22', 'Gaining', '> +0.005 NDVI/yr'));
-    legend.add(makeRow('FF0000', 'Losing', '< -0.005 NDVI/yr'));
-    legend.add(makeRow('CCCCCC', 'Stable', 'No sig. trend or low slope'));
+    var flat = config.topoCorrection === 'scs_c' ? slope.cos().multiply(cosZ) : ee.Image.constant(cosZ);
+    var factor = flat.add(c).divide(cosI.add(c))
+      .where(gain.lte(0), 1)  // No illumination dependence: nothing to correct
+      .unmask(1);             // Outside the DEM coverage: left uncorrected
+    return { reflectance: reflectance.multiply(factor).rename(SR_BANDS), lit: lit };
+  };
+}
 
-  } else if (layerName === 'Trend Magnitude (Slope)') {
-    legend.add(ui.Label({ value: 'Trend Magnitude', style: { fontWeight: 'bold', fontSize: '14px', margin: '0 0 4px 0' } }));
-    legend.add(ui.Label({ value: 'Slope of significant linear trends', style: { fontSize: '10px', color: '666666', margin: '0 0 10px 0' } }));
-    var gradient = ui.Panel({
-      style: {
-        width: '200px', height: '20px', margin: '0 0 10px 0',
-        backgroundImage: 'linear-gradient(to right, #a50026, #ffffbf, #006837)'
-      }
-    });
-    var labels = ui.Panel({
-      widgets: [ui.Label('-0.015', { margin: '0', fontSize: '10px' }), ui.Label('0', { margin: '0 auto', fontSize: '10px' }), ui.Label('+0.015', { margin: '0', fontSize: '10px' })],
-      layout: ui.Panel.Layout.Flow('horizontal'), style: { width: '200px' }
-    });
-    legend.add(gradient);
-    legend.add(labels);
+// 3. COMPUTE INDEX STATES
 
-  } else {
-    legend.add(ui.Label({ value: 'Vegetation Cover Change', style: { fontWeight: 'bold', fontSize: '14px', margin: '0 0 4px 0' } }));
-    var duration = endYear - startYear;
-    legend.add(ui.Label({ value: duration + '-Year Analysis (' + startYear + '-' + endYear + ')', style: { fontSize: '10px', color: '666666', margin: '0 0 10px 0' } }));
+// Median reflectance (SR_BANDS) of the in-season scenes between two dates
+function getReflectanceComposite(collection, startDate, endDate) {
+  // collection is already filtered by season, only date filter needed
+  return collection.filterDate(startDate, endDate).select(SR_BANDS).median();
+}
 
-    legend.add(ui.Label({ value: 'State Transitions (Robust)', style: { fontSize: '9px', color: '666666', margin: '0 0 4px 0' } }));
-    legend.add(makeRow('D7191C', 'Canopy Loss', 'Dense → Sparse/Bare'));
-    legend.add(makeRow('FDAE61', 'Degradation', 'Dense → Transitional'));
-    legend.add(makeRow('A6D96A', 'Emerging Biomass', 'Sparse → Transitional'));
-    legend.add(makeRow('008837', 'Maturation', 'Transitional → Dense'));
-    legend.add(makeRow('2C7BB6', 'Establishment', 'Sparse → Dense'));
+// Index of the median reflectance (band 'VI'); state variables keep their
+// NDVI names (startNDVI, classifyNDVI) but hold whichever index is active
+function getSeasonalComposite(collection, startDate, endDate, index) {
+  return computeIndex(getReflectanceComposite(collection, startDate, endDate), index);
+}
 
-    legend.add(ui.Label({ value: 'Trend Confirmed', style: { fontSize: '9px', color: '666666', margin: '8px 0 4px 0' } }));
-    legend.add(makeRow('00441B', 'Densification', 'Dense → Dense (+Gain)'));
-    legend.add(makeRow('74C476', 'Trans. Accumulation', 'Trans → Trans (+Gain)'));
-    legend.add(makeRow('D9F0D3', 'Sparse Accumulation', 'Sparse → Sparse (+Gain)'));
+// Vegetation class: 1=Dense, 2=Transitional, 3=Sparse, 4=Bare
+var vegNames = { 1: 'Dense Canopy', 2: 'Transitional', 3: 'Sparse', 4: 'Bare' };
 
-    var footerPanel = ui.Panel({ style: { margin: '10px 0 0 0', padding: '8px 0 0 0' } });
-    footerPanel.add(ui.Label({ value: 'Dense ≥' + DENSE_CANOPY + ' | Trans ' + TRANSITIONAL + '-' + DENSE_CANOPY + ' | Sparse ' + SPARSE + '-' + TRANSITIONAL, style: { fontSize: '9px', color: '888888' } }));
-    legend.add(footerPanel);
-  }
+function classifyNDVI(ndvi, thresholds) {
+  return ee.Image(4)
+    .where(ndvi.gte(thresholds.sparse), 3)
+    .where(ndvi.gte(thresholds.transitional), 2)
+    .where(ndvi.gte(thresholds.dense), 1);
 }
 
-updateLegend('Vegetation Change');
+function computeStates(a) {
+  var cfg = a.config;
+  // Baseline (startYear to startYear+4) and Current (endYear-4 to endYear) states
+  // Using 5-year averages for stable state definition
+  a.startReflectance = getReflectanceComposite(a.fullCollection, cfg.startYear + '-01-01', (cfg.startYear + 4) + '-12-31');
+  a.endReflectance = getReflectanceComposite(a.fullCollection, (cfg.endYear - 4) + '-01-01', cfg.endYear + '-12-31');
+  a.startNDVI = computeIndex(a.startReflectance, cfg.index);
+  a.endNDVI = computeIndex(a.endReflectance, cfg.index);
 
-Map.style().set('cursor', 'crosshair');
+  a.startClass = classifyNDVI(a.startNDVI, cfg.thresholds).updateMask(a.exclusionMask);
+  a.endClass = classifyNDVI(a.endNDVI, cfg.thresholds).updateMask(a.exclusionMask);
+}
 
-// Inspector function
-var inspectorPanel = ui.Panel({
-  style: { position: 'bottom-right', padding: '8px', backgroundColor: 'white', width: '350px', shown: false }
-});
-Map.add(inspectorPanel);
+// 3b. THRESHOLD CALIBRATION
 
-var vegNames = { 1: 'Dense Canopy', 2: 'Transitional', 3: 'Sparse', 4: 'Bare' };
+// Reference layers mapped to the four states (1=Dense ... 4=Bare); classes
+// that do not fit the gradient (cropland, built-up, water, ...) stay masked.
+// Each is compared with the index composite of the 5 years centred on its year.
+var CALIBRATION_REFERENCES = {
+  off: { label: 'Off (manual)' },
+  hansen: {
+    label: 'Hansen tree cover 2000', tag: 'Hansen', year: 2000,
+    // treecover2000 (%): Dense ≥60 | Transitional 30-60 | Sparse 10-30 | Bare <10
+    states: function () {
+      var gfc = ee.Image('UMD/hansen/global_forest_change_2024_v1_12');
+      var cover = gfc.select('treecover2000');
+      return ee.Image(4).where(cover.gte(10), 3).where(cover.gte(30), 2).where(cover.gte(60), 1)
+        .updateMask(gfc.select('datamask').eq(1));
+    }
+  },
+  worldcover: {
+    label: 'ESA WorldCover 2021', tag: 'WorldCover', year: 2021,
+    // Tree cover → Dense | Shrubland → Transitional | Grassland, moss → Sparse | Bare → Bare
+    states: function () {
+      return ee.ImageCollection('ESA/WorldCover/v200').first().select('Map')
+        .remap([10, 20, 30, 100, 60], [1, 2, 3, 3, 4]);
+    }
+  }
+};
 
-function updateInspector(coords) {
-  var point = ee.Geometry.Point(coords.lon, coords.lat);
+var CALIBRATION_RULES = {
+  percentile: { label: 'Quartile midpoint' },
+  separation: { label: 'Optimal separation' }
+};
 
-  var layers = Map.layers();
-  for (var i = 0; i < layers.length(); i++) {
-    var layer = layers.get(i);
-    if (layer.getShown()) {
-      updateLegend(layer.getName());
-      break;
+var CALIBRATION_BINS = 100;
+var CALIBRATION_SCALE = 90;        // Metres; histograms only need a sample
+var CALIBRATION_PERCENTILE = 25;   // Lower quartile of the greener state
+var CALIBRATION_MIN_PIXELS = 50;   // Per state; fewer keeps the manual cut-off
+
+// Index value at pct (0-100) of a [[bucketMin, count], ...] histogram
+function histogramPercentile(hist, pct, width) {
+  var total = hist.reduce(function (sum, b) { return sum + b[1]; }, 0);
+  var target = total * pct / 100;
+  var cum = 0;
+  for (var i = 0; i < hist.length; i++) {
+    if (cum + hist[i][1] >= target) {
+      return hist[i][0] + width * (target - cum) / hist[i][1];
     }
+    cum += hist[i][1];
   }
+  return hist[hist.length - 1][0] + width;
+}
 
-  inspectorPanel.clear();
-  inspectorPanel.style().set('shown', true);
-  inspectorPanel.add(ui.Label('Loading...', { fontStyle: 'italic' }));
+// Bin edge minimising the balanced error between a greener (upper) and the
+// next (lower) state: share of upper below the cut + share of lower above it
+function histogramSeparation(upper, lower) {
+  var upperTotal = upper.reduce(function (sum, b) { return sum + b[1]; }, 0);
+  var lowerTotal = lower.reduce(function (sum, b) { return sum + b[1]; }, 0);
+  var upperBelow = 0;
+  var lowerAbove = lowerTotal;
+  var best = { error: Infinity, cut: null };
+  for (var i = 0; i < upper.length; i++) {
+    var error = upperBelow / upperTotal + lowerAbove / lowerTotal;
+    if (error < best.error) best = { error: error, cut: upper[i][0] };
+    upperBelow += upper[i][1];
+    lowerAbove -= lower[i][1];
+  }
+  return best.cut;
+}
 
-  var values = ee.Image.cat([
-    changeClass,
-    startClass.rename('start_class'),
-    endClass.rename('end_class'),
-    trendClass.rename('trend_class'),
-    slope.rename('slope'),
-    pValue.rename('p_value'),
-    recentSlope,
-    endNDVI.rename('current_ndvi'),
-    establishmentEpoch.rename('epoch'),
-    yearsToCanopy.rename('years_proj')
-  ]).reduceRegion({
-    reducer: ee.Reducer.first(),
-    geometry: point,
-    scale: 30
+// Per-state histograms of the index over the ROI, keyed '1'..'4'
+function getCalibrationHistograms(config, region) {
+  var reference = CALIBRATION_REFERENCES[config.calibration];
+  var range = INDICES[config.index].range;
+  var composite = getSeasonalComposite(getLandsatCollection(region, config),
+    (reference.year - 2) + '-01-01', (reference.year + 2) + '-12-31', config.index);
+
+  var stats = composite.addBands(reference.states().rename('state')).reduceRegion({
+    reducer: ee.Reducer.fixedHistogram(range[0], range[1], CALIBRATION_BINS)
+      .group({ groupField: 1, groupName: 'state' }),
+    geometry: region,
+    scale: CALIBRATION_SCALE,
+    maxPixels: 1e13,
+    tileScale: 4
   });
+  var groups = ee.List(stats.get('groups'));
+  return ee.Dictionary.fromLists(
+    groups.map(function (g) { return ee.Number(ee.Dictionary(g).get('state')).int().format(); }),
+    groups.map(function (g) { return ee.Dictionary(g).get('histogram'); })
+  );
+}
 
-  values.evaluate(function (res) {
-    inspectorPanel.clear();
+// Replaces the base thresholds with values calibrated against the reference
+// layer (config.calibration) and records the outcome in config.thresholdSource.
+// Asynchronous like resolveSeason; the callback also receives the histograms
+// (null when calibration is off or failed) for the calibration panel.
+function calibrateThresholds(config, region, callback) {
+  if (config.calibration === 'off') {
+    config.thresholdSource = 'manual';
+    callback(config, null);
+    return;
+  }
 
-    if (!res) {
-      inspectorPanel.add(ui.Label('No data available (masked or outside bounds)', { fontSize: '11px', color: 'gray' }));
+  var reference = CALIBRATION_REFERENCES[config.calibration];
+  var range = INDICES[config.index].range;
+  var width = (range[1] - range[0]) / CALIBRATION_BINS;
+  var label = reference.tag + ', ' + CALIBRATION_RULES[config.calibrationRule].label.toLowerCase();
+
+  getCalibrationHistograms(config, region).evaluate(function (hists, error) {
+    if (error) {
+      config.thresholdSource = 'manual (calibration failed)';
+      callback(config, null);
       return;
     }
 
-    var header = ui.Panel({
-      widgets: [
-        ui.Label('Point Analysis', { fontWeight: 'bold', fontSize: '14px' }),
-        ui.Button({
-          label: '✕', style: { padding: '0 6px' },
-          onClick: function () { inspectorPanel.style().set('shown', false); }
-        })
-      ],
-      layout: ui.Panel.Layout.Flow('horizontal'),
-      style: { margin: '0 0 6px 0' }
+    var counts = {};
+    [1, 2, 3, 4].forEach(function (state) {
+      counts[state] = (hists[state] || []).reduce(function (sum, b) { return sum + b[1]; }, 0);
     });
-    inspectorPanel.add(header);
+
+    // Cut-off between state k and k+1; keeps the manual value if either is thin
+    var keys = { 1: 'denseCanopy', 2: 'transitional', 3: 'sparse' };
+    var calibrated = {};
+    [1, 2, 3].forEach(function (k) {
+      if (counts[k] < CALIBRATION_MIN_PIXELS || counts[k + 1] < CALIBRATION_MIN_PIXELS) {
+        calibrated[keys[k]] = config[keys[k]];
+        return;
+      }
+      var cut = config.calibrationRule === 'separation' ?
+        histogramSeparation(hists[k], hists[k + 1]) :
+        (histogramPercentile(hists[k], CALIBRATION_PERCENTILE, width) +
+          histogramPercentile(hists[k + 1], 100 - CALIBRATION_PERCENTILE, width)) / 2;
+      calibrated[keys[k]] = Number(cut.toFixed(3));
+    });
+
+    if (!(calibrated.sparse < calibrated.transitional && calibrated.transitional < calibrated.denseCanopy)) {
+      config.thresholdSource = 'manual (calibrated cut-offs overlap)';
+      callback(config, hists);
+      return;
+    }
+
+    Object.keys(calibrated).forEach(function (key) { config[key] = calibrated[key]; });
+    adjustThresholds(config);
+    config.thresholdSource = 'calibrated (' + label + ')';
+    callback(config, hists);
+  });
+}
+
+// 3c. EXCLUSION MASKS
+// Reservoirs, urban expansion and crop rotation cross the index thresholds
+// like vegetation change does; reference layers remove them up front.
+
+var EXCLUSION_REASONS = {
+  1: { name: 'Water', color: '2166AC', desc: function (cfg) { return 'JRC surface water occurrence ≥' + cfg.waterOccurrence + '%'; } },
+  2: { name: 'Built-up', color: 'B2182B', desc: function () { return 'ESA WorldCover 2021 built-up'; } },
+  3: { name: 'Cropland', color: 'E6AB02', desc: function () { return 'ESA WorldCover 2021 cropland'; } },
+  4: { name: 'User mask', color: '636363', desc: function (cfg) { return cfg.exclusionAsset; } }
+};
+
+// Codes of the exclusion sources switched on in a config
+function activeExclusions(config) {
+  var active = [];
+  if (config.excludeWater) active.push(1);
+  if (config.excludeBuiltUp) active.push(2);
+  if (config.excludeCropland) active.push(3);
+  if (config.exclusionAsset) active.push(4);
+  return active;
+}
+
+// e.g. 'Water, Built-up' ('none' when no mask is active)
+function describeExclusions(config) {
+  return activeExclusions(config).map(function (code) { return EXCLUSION_REASONS[code].name; }).join(', ') || 'none';
+}
+
+// Sets a.exclusionReason (EXCLUSION_REASONS code, masked where the pixel is
+// kept) and a.exclusionMask (1 = classified). Where sources overlap the
+// lower code wins.
+function computeExclusions(a) {
+  var cfg = a.config;
+  var reason = ee.Image(0);
+  if (cfg.exclusionAsset) {
+    reason = reason.where(ee.Image(0).paint(ee.FeatureCollection(cfg.exclusionAsset), 1), 4);
+  }
+  var worldCover = ee.ImageCollection('ESA/WorldCover/v200').first().select('Map').unmask(0);
+  if (cfg.excludeCropland) reason = reason.where(worldCover.eq(40), 3);
+  if (cfg.excludeBuiltUp) reason = reason.where(worldCover.eq(50), 2);
+  if (cfg.excludeWater) {
+    var occurrence = ee.Image('JRC/GSW1_4/GlobalSurfaceWater').select('occurrence').unmask(0);
+    reason = reason.where(occurrence.gte(cfg.waterOccurrence), 1);
+  }
+  a.exclusionReason = reason.selfMask().toByte().rename('exclusion_reason');
+  a.exclusionMask = reason.eq(0);
+}
+
+// 4. TREND ANALYSIS (Full period) with Statistical Significance
+
+var TREND_INPUTS = {
+  scenes: { label: 'All scenes' },
+  annual: { label: 'Annual composites' }
+};
+
+// Short description of the trend input, e.g. 'Annual composites (p50)'
+function describeTrendInput(config) {
+  var label = TREND_INPUTS[config.trendInput].label;
+  return config.trendInput === 'annual' ? label + ' (p' + config.annualPercentile + ')' : label;
+}
+
+var TREND_METHODS = {
+  ols: { label: 'OLS (linearFit)', tag: 'OLS' },
+  sens: { label: "Sen's slope (Theil-Sen)", tag: 'Sens' }
+};
+
+// Slope (index/yr) of a series with 't' and 'VI' bands, renamed to 'slope'.
+// Sen's slope is the median of all pairwise slopes: it ignores residual cloud
+// outliers but is O(n²) in the number of observations per pixel.
+function fitSlope(series, method) {
+  var input = series.select(['t', 'VI']);
+  if (method === 'sens') {
+    return input.reduce(ee.Reducer.sensSlope()).select(['slope']);
+  }
+  return input.reduce(ee.Reducer.linearFit()).select(['scale'], ['slope']);
+}
+
+// One seasonal composite per year ('VI' + 't' in years), dated 1 Jan.
+// Reflectance is reduced with config.annualPercentile before the index is
+// computed. A window wrapping the new year (e.g. Dec-Mar) is assigned to the
+// year it ends in. Years without clear scenes yield a fully masked image
+// instead of a band-less one, so the series always has one image per year.
+function getAnnualSeries(collection, config) {
+  var wraps = config.startMonth > config.endMonth;
+  var reducer = ee.Reducer.percentile([config.annualPercentile]);
+  return ee.ImageCollection.fromImages(
+    ee.List.sequence(config.startYear, config.endYear).map(function (y) {
+      y = ee.Number(y);
+      var windowStart = wraps ? ee.Date.fromYMD(y.subtract(1), config.startMonth, 1) : ee.Date.fromYMD(y, 1, 1);
+      var composite = collection.filterDate(windowStart, windowStart.advance(1, 'year'))
+        .select(SR_BANDS)
+        .merge(ee.ImageCollection([EMPTY_REFLECTANCE]))
+        .reduce(reducer)
+        .rename(SR_BANDS);
+      return computeIndex(composite, config.index).addBands(ee.Image.constant(y).float().rename('t'))
+        .set('year', y)
+        .set('system:time_start', ee.Date.fromYMD(y, 1, 1).millis());
+    })
+  );
+}
+
+var MK_VARIANTS = {
+  standard: { label: 'Standard', tag: 'MK' },
+  prewhitened: { label: 'Prewhitened (TFPW)', tag: 'TFPW' },
+  hamed_rao: { label: 'Hamed-Rao corrected', tag: 'HR' }
+};
+
+var MULTIPLE_TESTING = {
+  none: { label: 'None (per pixel)', tag: '' },
+  fdr: { label: 'Benjamini-Hochberg FDR', tag: 'FDR' }
+};
+
+// Short description of the significance test, e.g. 'HR, FDR'
+function describeSignificance(config) {
+  var tag = MK_VARIANTS[config.mkVariant].tag;
+  return config.multipleTesting === 'none' ? tag : tag + ', ' + MULTIPLE_TESTING[config.multipleTesting].tag;
+}
+
+var MK_MAX_LAG = 10;        // Autocorrelation lags summed by the Hamed-Rao correction
+var FDR_MAX_LOG_P = 10;     // -log10(p) histogram range for the FDR ranks
+var FDR_BINS = 2000;        // 0.005 decades per bin
+var FDR_TILE_SCALE = 4;     // Smaller tiles for the ROI-wide histogram
+
+// Lag-1 autocorrelation of the detrended series ('t' + 'VI'), per pixel.
+// Array maths so masked observations drop out rather than leaving gaps.
+function lagOneAutocorrelation(series, slope) {
+  var arr = series.select(['t', 'VI']).toArray();
+  var resid = arr.arraySlice(1, 1, 2).subtract(arr.arraySlice(1, 0, 1).multiply(slope));
+  var centred = resid.subtract(resid.arrayReduce(ee.Reducer.mean(), [0]).arrayGet([0, 0]));
+  var lagged = centred.arraySlice(0, 1).multiply(centred.arraySlice(0, 0, -1));
+  return lagged.arrayReduce(ee.Reducer.sum(), [0]).arrayGet([0, 0])
+    .divide(centred.pow(2).arrayReduce(ee.Reducer.sum(), [0]).arrayGet([0, 0]));
+}
+
+// Two-sided Mann-Kendall p with the Hamed & Rao (1998) variance correction.
+// The lag-k autocorrelations are taken as rho1^k (AR(1)) from the detrended
+// lag-1 value, and only a lag-1 value significant at 5% inflates the variance.
+function hamedRaoPValue(series, slope, tau) {
+  var n = series.select('VI').count();
+  var rho = lagOneAutocorrelation(series, slope);
+  rho = rho.where(rho.abs().lt(ee.Image(1.96).divide(n.sqrt())), 0);
+
+  var lagSum = ee.Image(0);
+  for (var k = 1; k <= MK_MAX_LAG; k++) {
+    var nk = n.subtract(k);
+    lagSum = lagSum.add(nk.multiply(nk.subtract(1)).multiply(nk.subtract(2))
+      .multiply(rho.pow(k)).multiply(nk.gte(3)));
+  }
+  var correction = lagSum.multiply(2)
+    .divide(n.multiply(n.subtract(1)).multiply(n.subtract(2))).add(1);
+
+  // Kendall's S from tau (no ties in time), continuity-corrected
+  var s = tau.multiply(n).multiply(n.subtract(1)).divide(2);
+  var varS = n.multiply(n.subtract(1)).multiply(n.multiply(2).add(5)).divide(18).multiply(correction);
+  var z = s.abs().subtract(1).max(0).divide(varS.sqrt());
+  return z.divide(Math.SQRT2).erfc();
+}
+
+// Mann-Kendall p of the trend-free prewhitened series (Yue et al., 2002):
+// detrend, remove the lag-1 component, restore the trend, then test.
+// Expects the annual series (one image per year, in order).
+function prewhitenedPValue(series, slope, config) {
+  var years = config.endYear - config.startYear + 1;
+  var rho = lagOneAutocorrelation(series, slope);
+  var list = series.toList(years);
+  var whitened = ee.ImageCollection.fromImages(ee.List.sequence(1, years - 1).map(function (i) {
+    var img = ee.Image(list.get(i));
+    var prev = ee.Image(list.get(ee.Number(i).subtract(1)));
+    var trend = slope.multiply(img.select('t'));
+    var prevResid = prev.select('VI').subtract(slope.multiply(prev.select('t')));
+    return img.select('VI').subtract(trend).subtract(prevResid.multiply(rho)).add(trend)
+      .rename('VI')
+      .copyProperties(img, ['system:time_start']);
+  }));
+  return whitened.reduce(ee.Reducer.kendallsCorrelation()).select('VI_p-value');
+}
+
+// Benjamini-Hochberg adjustment over every valid pixel in region (the tested
+// family is the ROI). Ranks come from a fine histogram of -log10(p) instead of
+// a full sort, so adjusted values are exact at the bin edges and interpolated
+// between them. Returns { edges, adjusted } as ee.Lists (-log10 p → adjusted p).
+function fdrTable(pValue, region) {
+  var logP = pValue.log10().multiply(-1).clamp(0, FDR_MAX_LOG_P - 1e-6).rename('log_p');
+  var hist = ee.Array(logP.reduceRegion({
+    reducer: ee.Reducer.fixedHistogram(0, FDR_MAX_LOG_P, FDR_BINS),
+    geometry: region,
+    scale: 30,
+    maxPixels: 1e13,
+    tileScale: FDR_TILE_SCALE
+  }).get('log_p'));
+  var edges = hist.slice(1, 0, 1).project([0]);
+  var counts = hist.slice(1, 1, 2).project([0]);
+  var total = counts.reduce(ee.Reducer.sum(), [0]).get([0]);
+
+  // Rank at an edge = pixels with p <= 10^-edge = counts in this bin and above
+  var ranks = counts.accum(0).multiply(-1).add(total).add(counts).max(1);
+  var raw = edges.multiply(-Math.LN10).exp().multiply(total).divide(ranks);
+  // Step-up: each adjusted p is the minimum over all larger raw p
+  var adjusted = raw.accum(0, ee.Reducer.min()).min(1);
+  return { edges: edges.toList(), adjusted: adjusted.toList() };
+}
+
+// Adjusted p from an fdrTable table (server-side or evaluated lists)
+function adjustFdr(pValue, table) {
+  var logP = pValue.log10().multiply(-1).clamp(0, FDR_MAX_LOG_P - 1e-6);
+  return logP.interpolate(table.edges, table.adjusted, 'clamp');
+}
+
+// Evaluates the FDR table of config over region once, before the run, and
+// stores it as config.fdrTable so clicks and exports reuse it instead of
+// repeating the ROI-wide histogram. Without the table (e.g. batch sites, or
+// when the lookup fails) computeTrends builds it server-side.
+function resolveFdr(config, region, callback) {
+  delete config.fdrTable;
+  if (config.multipleTesting !== 'fdr') {
+    callback(config);
+    return;
+  }
+  var raw = {};
+  Object.keys(config).forEach(function (key) { raw[key] = config[key]; });
+  raw.multipleTesting = 'none';
+  var a = { config: raw, region: region };
+  a.fullCollection = getLandsatCollection(region, raw);
+  computeExclusions(a);
+  computeTrends(a);
+  ee.Dictionary(fdrTable(a.pValue, region)).evaluate(function (table, error) {
+    if (!error && table) config.fdrTable = table;
+    callback(config);
+  });
+}
+
+function computeTrends(a) {
+  var cfg = a.config;
+
+  // Optimization: Pre-compute index and time band once for all trend calculations
+  // This avoids repeated mapping and filtering
+  a.sceneSeries = a.fullCollection
+    .filterDate(cfg.startYear + '-01-01', cfg.endYear + '-12-31')
+    .map(function (img) {
+      var vi = computeIndex(img, cfg.index);
+      // Note: Divide by SECONDS_PER_YEAR (approx 365 days).
+      var t = ee.Image.constant(img.get('system:time_start')).divide(SECONDS_PER_YEAR).float().rename('t');
+      return vi.addBands(t).copyProperties(img, ['system:time_start', 'sensor']);
+    });
+
+  a.annualSeries = getAnnualSeries(a.fullCollection, cfg);
+
+  // Series feeding slope, significance, recent slope and the inspector chart.
+  // Per-scene input over-weights years with several sensors in orbit
+  a.trendSeries = cfg.trendInput === 'annual' ? a.annualSeries : a.sceneSeries;
+
+  // 1. Slope (Magnitude of change), estimator chosen by trendMethod
+  // Excluded pixels (water, built-up, ...) get no trend products either
+  a.slope = fitSlope(a.trendSeries, cfg.trendMethod).updateMask(a.exclusionMask);
+
+  // 2. Statistical Significance (Kendall's Tau)
+  // Non-parametric test robust to noise and non-normality
+  var kendall = a.trendSeries.select('VI') // Reducer assumes time series input
+    .reduce(ee.Reducer.kendallsCorrelation());
+
+  a.pRaw = kendall.select('VI_p-value').rename('p_raw').updateMask(a.exclusionMask);
+
+  // Autocorrelation-aware variant, then optional correction across the ROI
+  var pTest = a.pRaw;
+  if (cfg.mkVariant === 'hamed_rao') {
+    pTest = hamedRaoPValue(a.trendSeries, a.slope, kendall.select('VI_tau'));
+  } else if (cfg.mkVariant === 'prewhitened') {
+    pTest = prewhitenedPValue(a.trendSeries, a.slope, cfg);
+  }
+  // Masked before the FDR ranking, so excluded pixels are not part of the tested family
+  pTest = pTest.updateMask(a.exclusionMask);
+  if (cfg.multipleTesting === 'fdr') {
+    pTest = adjustFdr(pTest, cfg.fdrTable || fdrTable(pTest, a.region));
+  }
+  a.pValue = pTest.rename('p_value');
+
+  // Recent Trend (Dynamic)
+  // Reuse the prepared trendSeries and the same estimator
+  var recentSeries = a.trendSeries
+    .filterDate(cfg.recentYearStart + '-01-01', cfg.endYear + '-12-31');
+
+  a.recentSlope = fitSlope(recentSeries, cfg.trendMethod).rename('recent_slope').updateMask(a.exclusionMask);
+
+  // Trend class: 1=Gaining, 2=Stable, 3=Losing
+  // MASKED by statistical significance (corrected p < significanceLevel)
+  a.significantTrend = a.pValue.lt(cfg.significanceLevel);
+
+  a.trendClass = classifyTrend(a.slope, a.significantTrend, cfg.gainingSlope, cfg.losingSlope)
+    .updateMask(a.exclusionMask);
+}
+
+// Trend class: 1=Gaining, 2=Stable, 3=Losing; only significant slopes count
+function classifyTrend(slope, significant, gainingSlope, losingSlope) {
+  return ee.Image(2) // Default to Stable
+    .where(slope.gt(gainingSlope).and(significant), 1)
+    .where(slope.lt(losingSlope).and(significant), 3);
+}
+
+// 5. CHANGE CLASSIFICATION (Simplified Taxonomy)
+// Primarily driven by State Change (Robust Median Comparison)
+// Trend Analysis used only for intra-class dynamics (Densification,
+// Accumulation, Thinning and Depletion)
+
+function classifyChange(a) {
+  var pixelClass = changeRules(a.startClass, a.endClass, a.trendClass, a.recentSlope,
+    a.config.gainingSlope, a.config.losingSlope).updateMask(a.exclusionMask);
+  // changeClass feeds statistics, sampling and exports; changeClassMap only the map layers
+  a.patchGrid = patchGrid(a.region);
+  a.changeClass = filterPatches(pixelClass, a.config, a.patchGrid).rename('change_class');
+  a.changeClassMap = filterPatches(pixelClass, a.config).rename('change_class');
+}
+
+// Change class (0 = no change) from the two states and the trend class.
+// Shared by the main run and the sensitivity sweep variants. Codes 1-8 keep
+// their original meaning; the loss-side classes were appended as 9-13.
+function changeRules(startClass, endClass, trendClass, recentSlope, gainingSlope, losingSlope) {
+  var changeClass = ee.Image(0);
+
+  // 1. Canopy Loss        (Dense → Sparse/Bare)
+  changeClass = changeClass.where(
+    startClass.eq(1).and(endClass.gte(3)), 1);
+
+  // 2. Degradation        (Dense → Transitional)
+  changeClass = changeClass.where(
+    startClass.eq(1).and(endClass.eq(2)), 2);
+
+  // 3. Emerging Biomass   (Sparse → Transitional)
+  changeClass = changeClass.where(
+    startClass.eq(3).and(endClass.eq(2)), 3);
+
+  // 4. Maturation         (Transitional → Dense)
+  changeClass = changeClass.where(
+    startClass.eq(2).and(endClass.eq(1)), 4);
+
+  // 5. Canopy Densification (Dense → Dense + Gaining)
+  changeClass = changeClass.where(
+    startClass.eq(1).and(endClass.eq(1)).and(trendClass.eq(1)), 5);
+
+  // 6. Canopy Establishment (Sparse/Bare → Dense)
+  var establishmentMask = startClass.gte(3).and(endClass.eq(1));
+  changeClass = changeClass.where(establishmentMask, 6);
+
+  // 7. Sparse Accumulation (Sparse → Sparse + Gaining)
+  var sparseStable = startClass.eq(3).and(endClass.eq(3));
+  var isGaining = trendClass.eq(1).or(recentSlope.gt(gainingSlope));
+  changeClass = changeClass.where(sparseStable.and(isGaining), 7);
+
+  // 8. Transitional Accumulation (Trans → Trans + Gaining)
+  var transStable = startClass.eq(2).and(endClass.eq(2));
+  changeClass = changeClass.where(transStable.and(isGaining), 8);
+
+  // 9. Canopy Thinning    (Dense → Dense + Losing)
+  changeClass = changeClass.where(
+    startClass.eq(1).and(endClass.eq(1)).and(trendClass.eq(3)), 9);
+
+  // 10. Transitional Decline (Transitional → Sparse/Bare)
+  changeClass = changeClass.where(
+    startClass.eq(2).and(endClass.gte(3)), 10);
+
+  // 11. Sparse Loss       (Sparse → Bare)
+  changeClass = changeClass.where(
+    startClass.eq(3).and(endClass.eq(4)), 11);
+
+  // 12. Sparse Depletion  (Sparse → Sparse + Losing)
+  // A pixel that also qualifies as gaining keeps its accumulation class
+  var isLosing = trendClass.eq(3).or(recentSlope.lt(losingSlope)).and(isGaining.not());
+  changeClass = changeClass.where(sparseStable.and(isLosing), 12);
+
+  // 13. Transitional Depletion (Trans → Trans + Losing)
+  changeClass = changeClass.where(transStable.and(isLosing), 13);
+
+  return changeClass;
+}
+
+// 5b. MINIMUM MAPPING UNIT AND PATCHES
+// Patches are 8-connected pixels of the same change class. For statistics and
+// exports their size is counted on a fixed 30 m grid in the ROI's UTM zone;
+// the map layer counts at the map's own scale (exact from about zoom 12, a
+// preview below), since forcing 30 m at low zoom exceeds the pixel limits.
+
+var MMU_MAX_PIXELS = 100;
+var PATCH_SCALE = 30;  // Metres; Landsat pixel size
+
+// PATCH_SCALE grid in the UTM zone of the region centroid (server-side twin of
+// utmCrs). A degree CRS would make cells narrower than a Landsat pixel away
+// from the equator and inflate patch pixel counts.
+function patchGrid(region) {
+  var centroid = region.centroid(1000).coordinates();
+  var lon = ee.Number(centroid.get(0));
+  var lat = ee.Number(centroid.get(1));
+  var zone = lon.add(180).divide(6).floor().add(1).min(60);
+  var epsg = ee.Number(ee.Algorithms.If(lat.gte(0), 32600, 32700)).add(zone);
+  return ee.Projection(ee.String('EPSG:').cat(epsg.format('%d'))).atScale(PATCH_SCALE);
+}
+
+var MMU_MODES = {
+  remove: { label: 'Remove (no change)' },
+  reassign: { label: 'Reassign to surroundings' }
+};
+
+// Applies config.mmuPixels to a change class image: patches below the unit
+// become no change, or take the most common class around them. grid
+// (optional, e.g. a.patchGrid) fixes the grid patches are counted on;
+// without it they are counted at the scale of the request.
+function filterPatches(changeClass, cfg, grid) {
+  if (cfg.mmuPixels <= 1) return changeClass;
+  var onGrid = function (img) { return grid ? img.reproject(grid) : img; };
+  var size = onGrid(changeClass.connectedPixelCount(cfg.mmuPixels, true));
+  var small = changeClass.gt(0).and(size.lt(cfg.mmuPixels));
+  if (cfg.mmuMode === 'reassign') {
+    // The window reaches the middle of the largest patch that can be small
+    var surroundings = onGrid(changeClass.updateMask(small.not())
+      .focalMode(Math.ceil(Math.sqrt(cfg.mmuPixels)), 'square', 'pixels'));
+    return changeClass.where(small, surroundings.unmask(0));
+  }
+  return changeClass.where(small, 0);
+}
+
+// Change patches as polygons (a.patches: change_class, class_name, area_ha,
+// mean_slope) and per-class patch statistics (a.patchStats). Both are only
+// computed when shown or exported.
+function computePatches(a) {
+  var names = ee.Dictionary(classNames);
+  a.patches = a.changeClass.selfMask().addBands(a.slope).reduceToVectors({
+    geometry: a.region,
+    crs: a.patchGrid,
+    scale: PATCH_SCALE,
+    geometryType: 'polygon',
+    eightConnected: true,
+    labelProperty: 'change_class',
+    reducer: ee.Reducer.mean(),
+    maxPixels: 1e13
+  }).map(function (f) {
+    return ee.Feature(f.geometry(), {
+      change_class: f.get('change_class'),
+      class_name: names.get(ee.Number(f.get('change_class')).format()),
+      area_ha: f.geometry().area(1).divide(SQ_METERS_PER_HECTARE),
+      mean_slope: f.get('mean')
+    });
+  });
+
+  a.patchStats = ee.FeatureCollection(Object.keys(classNames).map(function (key) {
+    var patches = a.patches.filter(ee.Filter.eq('change_class', Number(key)));
+    var hasPatches = patches.size().gt(0);
+    var largest = ee.Feature(patches.sort('area_ha', false).first()).geometry().centroid(1).coordinates();
+    return ee.Feature(null, {
+      change_class: Number(key),
+      class_name: classNames[key],
+      patch_count: patches.size(),
+      mean_patch_ha: ee.Algorithms.If(hasPatches, patches.aggregate_mean('area_ha'), 0),
+      max_patch_ha: ee.Algorithms.If(hasPatches, patches.aggregate_max('area_ha'), 0),
+      largest_lon: ee.Algorithms.If(hasPatches, largest.get(0), null),
+      largest_lat: ee.Algorithms.If(hasPatches, largest.get(1), null)
+    });
+  }));
+}
+
+// 6. CANOPY ESTABLISHMENT EPOCHS (Dynamic Generation)
+
+// Generate 5-year epochs starting from startYear + 5 (since first 5 are baseline)
+function buildEpochs(startYear, endYear) {
+  var epochs = [];
+  for (var y = startYear + 5; y <= endYear;) {
+    var nextStart = y + 5;
+    var yearsRemaining = endYear - nextStart + 1;
+
+    if (yearsRemaining < 3) {
+      // Merge remainder into this epoch and finish
+      epochs.push({ start: y, end: endYear, label: y });
+      break;
+    } else {
+      // Standard 5-year bin
+      epochs.push({ start: y, end: y + 4, label: y });
+      y += 5;
+    }
+  }
+  return epochs;
+}
+
+function computeEpochs(a) {
+  var cfg = a.config;
+  a.epochs = buildEpochs(cfg.startYear, cfg.endYear);
+
+  var composites = a.epochs.map(function (epoch) {
+    return getSeasonalComposite(a.fullCollection, epoch.start + '-01-01', epoch.end + '-12-31', cfg.index);
+  });
+
+  a.epochCollection = ee.ImageCollection.fromImages(
+    a.epochs.map(function (epoch, i) {
+      return composites[i].gte(cfg.thresholds.dense)
+        .multiply(epoch.label)
+        .selfMask()
+        .toInt()
+        .rename('epoch')
+        .set('epoch', epoch.label);
+    })
+  );
+
+  var epochValidMask = a.startClass.gte(2).and(a.endClass.eq(1));
+  a.establishmentEpoch = a.epochCollection.min().updateMask(epochValidMask);
+
+  // State of the baseline and of every epoch, one band each ('state_<year>';
+  // masked where the composite has no observations)
+  a.stateSequence = ee.Image.cat([a.startClass.updateMask(a.startNDVI.mask()).rename('state_' + cfg.startYear)]
+    .concat(a.epochs.map(function (epoch, i) {
+      return classifyNDVI(composites[i], cfg.thresholds).updateMask(composites[i].mask()).updateMask(a.exclusionMask)
+        .rename('state_' + epoch.label);
+    }))).toByte();
+
+  classifyTrajectory(a);
+}
+
+// 6a. STATE TRAJECTORIES
+// Walks the state sequence epoch by epoch. A state rising in code (e.g.
+// Dense → Transitional) is a loss step, a falling one a gain step; a clearing
+// is a step from Dense/Transitional into Sparse/Bare. Epochs without data
+// carry the previous state forward.
+
+var TRAJECTORY_TYPES = {
+  1: { name: 'Stable Dense', desc: 'Dense in every epoch', color: '00441B' },
+  2: { name: 'Stable Open', desc: 'Same non-dense state throughout', color: 'D9D9D9' },
+  3: { name: 'Monotonic Gain', desc: 'Only gain steps', color: '41AB5D' },
+  4: { name: 'Monotonic Loss', desc: 'Only loss steps', color: 'D7191C' },
+  5: { name: 'Loss then Recovery', desc: 'Back to the pre-loss state after the first loss', color: '2C7BB6' },
+  6: { name: 'Repeated Clearing', desc: 'Cleared (to Sparse/Bare) two or more times', color: '7B3294' },
+  7: { name: 'Fluctuating', desc: 'Gains and losses without recovery', color: 'FDAE61' }
+};
+
+// Sets a.trajectoryType (codes of TRAJECTORY_TYPES) and a.firstLossEpoch
+// (label of the epoch with the first loss step)
+function classifyTrajectory(a) {
+  var labels = [a.config.startYear].concat(a.epochs.map(function (epoch) { return epoch.label; }));
+  var zero = ee.Image(0);
+
+  var previous = a.stateSequence.select(0).unmask(0);  // 0 = no valid state yet
+  var losses = zero;
+  var gains = zero;
+  var clearings = zero;
+  var preLossState = zero;
+  var firstLoss = zero;
+  var recovered = zero;
+
+  for (var i = 1; i < labels.length; i++) {
+    var state = a.stateSequence.select(i).unmask(previous);
+    var known = previous.gt(0);
+    var lossStep = state.gt(previous).and(known);
+    var isFirstLoss = lossStep.and(firstLoss.eq(0));
+
+    preLossState = preLossState.where(isFirstLoss, previous);
+    firstLoss = firstLoss.where(isFirstLoss, labels[i]);
+    recovered = recovered.or(firstLoss.gt(0).and(state.lte(preLossState)));
+    losses = losses.add(lossStep);
+    gains = gains.add(state.lt(previous).and(known));
+    clearings = clearings.add(previous.lte(2).and(state.gte(3)).and(known));
+    previous = state;
+  }
+
+  var unchanged = losses.eq(0).and(gains.eq(0));
+  a.trajectoryType = ee.Image(7)
+    .where(losses.gt(0).and(recovered), 5)
+    .where(clearings.gte(2), 6)
+    .where(gains.gt(0).and(losses.eq(0)), 3)
+    .where(losses.gt(0).and(gains.eq(0)), 4)
+    .where(unchanged, 2)
+    .where(unchanged.and(previous.eq(1)), 1)
+    .updateMask(previous.gt(0))
+    .toByte()
+    .rename('trajectory');
+
+  a.firstLossEpoch = firstLoss.selfMask().toInt().rename('first_loss_epoch');
+}
+
+// 6b. DATA SUFFICIENCY
+// Counts valid observations behind each product and flags pixels whose
+// classification rests on too few of them.
+
+// Bit flags of the 'data_flags' band
+var DATA_FLAGS = { baseline: 1, current: 2, epoch: 4, trend: 8 };
+var DATA_FLAG_NAMES = { 1: 'Baseline', 2: 'Current', 4: 'Epoch gap', 8: 'Trend series' };
+
+// Number of clear observations in [startDate, endDate] (0 where none)
+function countObservations(collection, startDate, endDate) {
+  return collection.filterDate(startDate, endDate)
+    .select('Red')
+    .merge(ee.ImageCollection([EMPTY_REFLECTANCE.select('Red')]))
+    .count()
+    .unmask(0);
+}
+
+function assessDataSufficiency(a) {
+  var cfg = a.config;
+  var col = a.fullCollection;
+
+  var baseline = countObservations(col, cfg.startYear + '-01-01', (cfg.startYear + 4) + '-12-31');
+  var current = countObservations(col, (cfg.endYear - 4) + '-01-01', cfg.endYear + '-12-31');
+  var epochCounts = ee.Image.cat(a.epochs.map(function (epoch) {
+    return countObservations(col, epoch.start + '-01-01', epoch.end + '-12-31').rename('obs_' + epoch.label);
+  }));
+  var epochMin = epochCounts.reduce(ee.Reducer.min());
+  var trend = a.trendSeries.select('VI')
+    .merge(ee.ImageCollection([ee.Image.constant(0).rename('VI').updateMask(0)]))
+    .count()
+    .unmask(0);
+
+  a.observationCounts = ee.Image.cat([
+    baseline.rename('obs_baseline'),
+    current.rename('obs_current'),
+    epochMin.rename('obs_epoch_min'),
+    trend.rename('obs_trend'),
+    epochCounts
+  ]).toInt16();
+
+  var lowBaseline = baseline.lt(cfg.minObservations);
+  var lowCurrent = current.lt(cfg.minObservations);
+  var lowEpoch = epochMin.lt(cfg.minObservations);
+  var lowTrend = trend.lt(cfg.minTrendObservations);
+
+  a.dataFlags = lowBaseline.multiply(DATA_FLAGS.baseline)
+    .add(lowCurrent.multiply(DATA_FLAGS.current))
+    .add(lowEpoch.multiply(DATA_FLAGS.epoch))
+    .add(lowTrend.multiply(DATA_FLAGS.trend))
+    .toByte()
+    .rename('data_flags');
+
+  if (cfg.insufficientData === 'mask') {
+    a.changeClass = a.changeClass.updateMask(sufficientDataMask(a, a.changeClass));
+    a.changeClassMap = a.changeClassMap.updateMask(sufficientDataMask(a, a.changeClassMap));
+    a.trendClass = a.trendClass.updateMask(lowTrend.not());
+    a.establishmentEpoch = a.establishmentEpoch.updateMask(lowEpoch.not());
+    a.trajectoryType = a.trajectoryType.updateMask(lowEpoch.not());
+    a.firstLossEpoch = a.firstLossEpoch.updateMask(lowEpoch.not());
+  }
+}
+
+// 1 where a change class rests on enough observations (needs a.dataFlags):
+// states need both composites; trend-confirmed classes (5, 7-9, 12, 13) also
+// the series. Shared by the main map and the sweep variants.
+function sufficientDataMask(a, changeClass) {
+  var lowStates = a.dataFlags.bitwiseAnd(DATA_FLAGS.baseline | DATA_FLAGS.current).gt(0);
+  var lowTrend = a.dataFlags.bitwiseAnd(DATA_FLAGS.trend).gt(0);
+  var trendBased = ee.Image(0);
+  [5, 7, 8, 9, 12, 13].forEach(function (c) { trendBased = trendBased.or(changeClass.eq(c)); });
+  return lowStates.or(trendBased.and(lowTrend)).not();
+}
+
+// 6c. DISTURBANCE SEGMENTATION (LandTrendr)
+// Segments each pixel's annual index series into linear pieces and keeps the
+// segment with the largest index drop. Unlike the start/end state comparison,
+// this catches loss that recovered before the current period.
+
+var LANDTRENDR_PARAMS = {
+  maxSegments: 6,
+  spikeThreshold: 0.9,
+  vertexCountOvershoot: 3,
+  preventOneYearRecovery: true,
+  recoveryThreshold: 0.25,
+  pvalThreshold: 0.05,
+  bestModelProportion: 0.75,
+  minObservationsNeeded: 6
+};
+
+// Share of the index loss that must be regained to count as recovered
+var RECOVERY_FRACTION = 0.8;
+
+function detectDisturbance(a) {
+  var cfg = a.config;
+
+  // LandTrendr treats increases as disturbance, so the index is inverted
+  var ltInput = a.annualSeries.map(function (img) {
+    return img.select('VI').multiply(-1).copyProperties(img, ['system:time_start']);
+  });
+  var params = { timeSeries: ltInput };
+  Object.keys(LANDTRENDR_PARAMS).forEach(function (key) {
+    params[key] = LANDTRENDR_PARAMS[key];
+  });
+  // Rows: 0=year, 1=source value, 2=fitted value, 3=is vertex
+  var lt = ee.Algorithms.TemporalSegmentation.LandTrendr(params).select('LandTrendr');
+
+  var vertices = lt.arrayMask(lt.arraySlice(0, 3, 4));
+  var left = vertices.arraySlice(1, 0, -1);
+  var right = vertices.arraySlice(1, 1, null);
+  var segYearStart = left.arraySlice(0, 0, 1);
+  var segYearEnd = right.arraySlice(0, 0, 1);
+  var segValStart = left.arraySlice(0, 2, 3);
+  var segValEnd = right.arraySlice(0, 2, 3);
+  var segMagnitude = segValEnd.subtract(segValStart);
+
+  // Rows: onset year, end year, magnitude. A zero-magnitude filler column keeps
+  // the array non-empty for pixels with a single segment or too few observations
+  var segments = ee.Image.cat([segYearStart.add(1), segYearEnd, segMagnitude]).toArray(0)
+    .arrayCat(ee.Image(ee.Array([[0], [0], [0]])), 1);
+  var largest = segments.arraySort(segments.arraySlice(0, 2, 3).multiply(-1))
+    .arraySlice(1, 0, 1)
+    .arrayProject([0])
+    .arrayFlatten([['dist_year', 'dist_end', 'dist_magnitude']]);
+
+  var disturbed = largest.select('dist_magnitude').gte(cfg.disturbanceMinMagnitude);
+
+  // Recovery: first year after the loss segment where the fitted index has
+  // regained RECOVERY_FRACTION of the drop (inverted units, so "at or below")
+  var years = lt.arraySlice(0, 0, 1).arrayProject([0]);
+  var fitted = lt.arraySlice(0, 2, 3).arrayProject([0]);
+  var distEnd = largest.select('dist_end');
+  var postLoss = fitted.arrayMask(years.eq(distEnd))
+    .arrayCat(ee.Image(ee.Array([0])), 0)
+    .arrayGet([0]);
+  var recoveryTarget = postLoss.subtract(largest.select('dist_magnitude').multiply(RECOVERY_FRACTION));
+  var firstRecovered = years.arrayMask(years.gt(distEnd).and(fitted.lte(recoveryTarget)))
+    .arrayCat(ee.Image(ee.Array([9999])), 0) // Sentinel: not recovered
+    .arrayReduce(ee.Reducer.min(), [0])
+    .arrayGet([0]);
+
+  // Excluded pixels (water, built-up, ...) get no disturbance products
+  disturbed = disturbed.updateMask(a.exclusionMask);
+  a.disturbanceYear = largest.select('dist_year').toInt().updateMask(disturbed).rename('dist_year');
+  a.disturbanceMagnitude = largest.select('dist_magnitude').updateMask(disturbed).rename('dist_magnitude');
+  a.recoveryDuration = firstRecovered.subtract(distEnd)
+    .updateMask(disturbed.and(firstRecovered.lt(9999)))
+    .toInt()
+    .rename('recovery_years');
+}
+
+// 7. TRAJECTORY PROJECTION (Sigmoid-based)
+
+var PROJECTION_MODELS = {
+  linear: { label: 'Linear', tag: 'Linear' },
+  logistic: { label: 'Logistic', tag: 'Logistic' }
+};
+
+var PROJECTION_HORIZON = 50;  // Years; longer projections are capped
+var LOGISTIC_MARGIN = 0.02;   // Asymptote margin beyond the observed range
+var CI_Z = 1.96;              // 95% bounds
+
+// Logistic growth fitted to the annual index series:
+//   VI(t) = L + (K - L) / (1 + exp(-(offset + rate * t)))
+// The asymptotes are fixed per pixel (L below the observed minimum, K above
+// both the observed maximum and a canopy ceiling), which makes the model
+// linear in logit space: z = ln((VI - L) / (K - VI)) = offset + rate * t.
+// Bounds pivot the rate by ±CI_Z standard errors around the series centroid.
+function fitLogistic(a) {
+  var cfg = a.config;
+  var t = cfg.thresholds;
+  var vi = a.annualSeries.select('VI');
+
+  var lower = vi.min().subtract(LOGISTIC_MARGIN).min(INDICES[cfg.index].range[0]);
+  var upper = vi.max().add(LOGISTIC_MARGIN).max(t.dense + (t.dense - t.transitional));
+
+  var logit = a.annualSeries.map(function (img) {
+    var v = img.select('VI').max(lower.add(1e-3)).min(upper.subtract(1e-3));
+    var z = v.subtract(lower).divide(upper.subtract(v)).log().rename('z');
+    return img.select('t').updateMask(z.mask()).addBands(z)
+      .copyProperties(img, ['system:time_start']);
+  });
+
+  var fit = logit.select(['t', 'z']).reduce(ee.Reducer.linearFit());
+  var rate = fit.select('scale');
+  var offset = fit.select('offset');
+
+  var n = logit.select('z').count();
+  var tMean = logit.select('t').mean();
+  var zMean = logit.select('z').mean();
+  var sxx = logit.select('t').reduce(ee.Reducer.sampleVariance()).multiply(n.subtract(1));
+  var szz = logit.select('z').reduce(ee.Reducer.sampleVariance()).multiply(n.subtract(1));
+  var sse = logit.map(function (img) {
+    return img.select('z').subtract(offset.add(rate.multiply(img.select('t')))).pow(2);
+  }).sum();
+  var rateSE = sse.divide(n.subtract(2)).divide(sxx).sqrt();
+
+  // Years after endYear until the curve crosses the dense threshold
+  var zTarget = ee.Image(t.dense).subtract(lower).divide(upper.subtract(t.dense)).log();
+  function yearsToCrossing(r) {
+    return zTarget.subtract(zMean).divide(r).add(tMean).subtract(cfg.endYear)
+      .where(r.lte(0), 9999);  // Never reached at this rate
+  }
+  var alreadyDense = a.endNDVI.gte(t.dense);
+
+  a.logisticFit = { lower: lower, upper: upper, rate: rate, offset: offset };
+  a.logisticProjection = ee.Image.cat([
+    yearsToCrossing(rate).rename('logistic_years'),
+    yearsToCrossing(rate.add(rateSE.multiply(CI_Z))).rename('logistic_lower'),
+    yearsToCrossing(rate.subtract(rateSE.multiply(CI_Z))).rename('logistic_upper')
+  ]).where(alreadyDense, 0).max(0)
+    .addBands(ee.Image(1).subtract(sse.divide(szz)).rename('fit_r2'))
+    .updateMask(a.exclusionMask);
+
+  // Fitted curve per year, for the inspector chart
+  a.fittedSeries = a.annualSeries.map(function (img) {
+    var curve = upper.subtract(lower)
+      .divide(offset.add(rate.multiply(img.select('t'))).multiply(-1).exp().add(1))
+      .add(lower);
+    return curve.rename('Fitted').copyProperties(img, ['system:time_start']);
+  });
+}
+
+function projectTrajectory(a) {
+  var cfg = a.config;
+  var dense = cfg.thresholds.dense;
+
+  var linearYears = a.endNDVI.subtract(dense).abs()
+    .divide(a.recentSlope.abs())
+    .where(a.recentSlope.lte(0), 9999)  // No projection for non-gaining
+    .where(a.endNDVI.gte(dense), 0);  // Already at threshold
+
+  fitLogistic(a);
+
+  var yearsToThreshold = (cfg.projectionModel === 'logistic' ? a.logisticProjection.select('logistic_years') : linearYears)
+    .clamp(0, PROJECTION_HORIZON)
+    .rename('years_to_canopy');
+
+  var projectionMask = a.trendClass.eq(1).and(a.endClass.gt(1));
+  a.yearsToCanopy = yearsToThreshold.updateMask(projectionMask);
+}
+
+// 7b. AREA STATISTICS
+
+var SQ_METERS_PER_HECTARE = 10000;
+
+// Pixel area (ha) summed per integer value of classImage over region.
+// Returns a dictionary keyed by the class value as a string ('1', '12', ...)
+function areaByValue(classImage, region) {
+  var stats = ee.Image.pixelArea().divide(SQ_METERS_PER_HECTARE).rename('area')
+    .addBands(classImage.rename('value'))
+    .reduceRegion({
+      reducer: ee.Reducer.sum().group({ groupField: 1, groupName: 'value' }),
+      geometry: region,
+      scale: 30,
+      maxPixels: 1e13
+    });
+  var groups = ee.List(stats.get('groups'));
+  return ee.Dictionary.fromLists(
+    groups.map(function (g) { return ee.Number(ee.Dictionary(g).get('value')).int().format(); }),
+    groups.map(function (g) { return ee.Dictionary(g).get('sum'); })
+  );
+}
+
+function computeStatistics(a) {
+  // Area per change class (1-13); classes absent from the ROI report 0 ha
+  var changeAreas = areaByValue(a.changeClass.selfMask(), a.region);
+  a.classAreas = ee.FeatureCollection(Object.keys(classNames).map(function (key) {
+    return ee.Feature(null, {
+      change_class: Number(key),
+      class_name: classNames[key],
+      area_ha: changeAreas.get(key, 0)
+    });
+  }));
+
+  // 4x4 state transition matrix, encoded as startClass * 10 + endClass.
+  // classifyNDVI defaults to Bare, so pixels without a composite are masked
+  // (and, in 'mask' mode, those with too few observations for either state)
+  var statesValid = a.startNDVI.mask().and(a.endNDVI.mask());
+  if (a.config.insufficientData === 'mask') {
+    statesValid = statesValid.and(a.dataFlags.bitwiseAnd(DATA_FLAGS.baseline | DATA_FLAGS.current).eq(0));
+  }
+  var transitionAreas = areaByValue(a.startClass.multiply(10).add(a.endClass).updateMask(statesValid), a.region);
+  var transitions = [];
+  for (var from = 1; from <= 4; from++) {
+    for (var to = 1; to <= 4; to++) {
+      transitions.push(ee.Feature(null, {
+        from_class: from,
+        from_name: vegNames[from],
+        to_class: to,
+        to_name: vegNames[to],
+        area_ha: transitionAreas.get(String(from * 10 + to), 0)
+      }));
+    }
+  }
+  a.transitionMatrix = ee.FeatureCollection(transitions);
+}
+
+// 7c. SENSITIVITY SWEEP
+
+// Every (state offset, slope factor) pair except the default (0, 1)
+function getSweepVariants(config) {
+  var variants = [];
+  config.sweepOffsets.forEach(function (offset) {
+    config.sweepSlopeFactors.forEach(function (factor) {
+      if (offset === 0 && factor === 1) return;
+      variants.push({ offset: offset, slopeFactor: factor });
+    });
+  });
+  return variants;
+}
+
+// Change class with all state thresholds shifted by offset and both slope
+// thresholds scaled by slopeFactor, masked like the main map (exclusions and,
+// in 'mask' mode, insufficient data)
+function classifyVariant(a, offset, slopeFactor) {
+  var cfg = a.config;
+  var t = cfg.thresholds;
+  var shifted = { dense: t.dense + offset, transitional: t.transitional + offset, sparse: t.sparse + offset };
+  var gaining = cfg.gainingSlope * slopeFactor;
+  var losing = cfg.losingSlope * slopeFactor;
+  var trendClass = classifyTrend(a.slope, a.significantTrend, gaining, losing);
+  var variant = filterPatches(changeRules(classifyNDVI(a.startNDVI, shifted), classifyNDVI(a.endNDVI, shifted),
+    trendClass, a.recentSlope, gaining, losing).updateMask(a.exclusionMask), cfg, a.patchGrid);
+  return cfg.insufficientData === 'mask' ? variant.updateMask(sufficientDataMask(a, variant)) : variant;
+}
+
+// Stability of the change class across the sweep: number of variants that
+// agree with it ('agreement') and the most common class among those that
+// do not ('alt_class', 0 = no change, masked when all agree).
+// Also builds the area per class for each state offset (default slopes).
+function computeSensitivitySweep(a) {
+  var cfg = a.config;
+  a.sweepVariants = getSweepVariants(cfg);
+
+  var variantClasses = ee.ImageCollection.fromImages(a.sweepVariants.map(function (v) {
+    return classifyVariant(a, v.offset, v.slopeFactor).rename('change_class');
+  }));
+  var agreement = variantClasses.map(function (img) {
+    return img.eq(a.changeClass);
+  }).sum().rename('agreement');
+  var alternative = variantClasses.map(function (img) {
+    return img.updateMask(img.neq(a.changeClass));
+  }).reduce(ee.Reducer.mode()).rename('alt_class');
+  a.stability = agreement.addBands(alternative);
+
+  a.sweepAreas = ee.FeatureCollection(cfg.sweepOffsets.map(function (offset) {
+    var areas = areaByValue(classifyVariant(a, offset, 1).selfMask(), a.region);
+    var props = { offset: offset };
+    Object.keys(classNames).forEach(function (key) {
+      props[classNames[key]] = areas.get(key, 0);
+    });
+    return ee.Feature(null, props);
+  }));
+}
+
+// 7d. ACCURACY ASSESSMENT
+
+// Strata and reference classes: 0 = no change, then change classes 1-13
+var VALIDATION_CLASSES = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13];
+// Property interpreters fill in on the exported sample (-1 = not yet labelled)
+var VALIDATION_LABEL_PROPERTY = 'reference';
+// Property recording the map the sample was stratified on (see mapSignature)
+var VALIDATION_MAP_PROPERTY = 'map_config';
+
+// Config keys that shape the change map (states, trend, masks, exclusions,
+// MMU); thresholds are the adjusted (and possibly calibrated) values.
+// Observation minimums only matter when insufficient data is masked.
+var MAP_CONFIG_KEYS = [
+  'startYear', 'endYear', 'startMonth', 'endMonth', 'index', 'thresholds',
+  'gainingSlope', 'losingSlope', 'significanceLevel', 'trendMethod', 'mkVariant', 'multipleTesting',
+  'trendInput', 'annualPercentile',
+  'maskDilatedCloud', 'maskCirrus', 'maskSnow', 'maskWater', 'maskSaturation', 'maskInvalidRange', 'excludeSlcOff',
+  'topoCorrection', 'terrainDem', 'maskTerrainShadow', 'harmonization', 'sentinel2', 's2CloudProbability',
+  'excludeWater', 'waterOccurrence', 'excludeBuiltUp', 'excludeCropland', 'exclusionAsset',
+  'mmuPixels', 'mmuMode', 'insufficientData'
+];
+
+// 32-bit FNV-1a hash of a string, as 8 hex digits
+function hashString(text) {
+  var h = 0x811c9dc5;
+  for (var i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = (h + (h << 1) + (h << 4) + (h << 7) + (h << 8) + (h << 24)) >>> 0;
+  }
+  return ('0000000' + h.toString(16)).slice(-8);
+}
+
+// Signature of the change map of an analysis (ee.String): the readable export
+// suffix, a hash of every MAP_CONFIG_KEYS value and the region's area and
+// centroid. A labelled sample is only valid for the map with the same
+// signature (Olofsson strata = map classes and their areas).
+function mapSignature(a) {
+  var cfg = a.config;
+  var keys = MAP_CONFIG_KEYS.concat(cfg.insufficientData === 'mask' ? ['minObservations', 'minTrendObservations'] : []);
+  var settings = keys.map(function (key) { return key + '=' + JSON.stringify(cfg[key]); }).join(';');
+  var centroid = a.region.centroid(1).coordinates();
+  return ee.String(exportSuffix(cfg) + '#' + hashString(settings) + '#R')
+    .cat(a.region.area(1).divide(SQ_METERS_PER_HECTARE).format('%.1f'))
+    .cat('@').cat(ee.Number(centroid.get(0)).format('%.4f'))
+    .cat(',').cat(ee.Number(centroid.get(1)).format('%.4f'));
+}
+
+// Stratified random sample of the change map for interpretation
+function drawValidationSample(a) {
+  var cfg = a.config;
+  var signature = mapSignature(a);
+  a.validationSample = a.changeClass.stratifiedSample({
+    numPoints: cfg.validationSampleSize,
+    classBand: 'change_class',
+    region: a.region,
+    scale: 30,
+    seed: cfg.validationSeed,
+    classValues: VALIDATION_CLASSES,
+    classPoints: VALIDATION_CLASSES.map(function (c) {
+      return c === 0 ? cfg.validationNoChangeSize : cfg.validationSampleSize;
+    }),
+    geometries: true
+  }).map(function (f) {
+    return f.set(VALIDATION_LABEL_PROPERTY, -1, VALIDATION_MAP_PROPERTY, signature);
+  });
+}
+
+// Sample counts (rows = map class, columns = reference class) of the labelled
+// points against the current map, the mapped area (ha) of every stratum and
+// the distinct map signatures found on the sample ('' = untagged), next to
+// the signature of the current map
+function getAccuracyInputs(a) {
+  var labels = ee.FeatureCollection(a.config.validationLabels)
+    .filter(ee.Filter.gte(VALIDATION_LABEL_PROPERTY, 0));
+  var labelled = a.changeClass.sampleRegions({
+    collection: labels,
+    properties: [VALIDATION_LABEL_PROPERTY],
+    scale: 30
+  });
+  var areas = areaByValue(a.changeClass, a.region);
+  return ee.Dictionary({
+    matrix: labelled.errorMatrix('change_class', VALIDATION_LABEL_PROPERTY, VALIDATION_CLASSES).array(),
+    areas: VALIDATION_CLASSES.map(function (c) { return areas.get(String(c), 0); }),
+    signatures: labels.map(function (f) {
+      return f.set(VALIDATION_MAP_PROPERTY, ee.Algorithms.If(f.get(VALIDATION_MAP_PROPERTY), f.get(VALIDATION_MAP_PROPERTY), ''));
+    }).aggregate_array(VALIDATION_MAP_PROPERTY).distinct(),
+    signature: mapSignature(a)
+  });
+}
+
+// Stratified estimators of Olofsson et al. (2014) from sample counts
+// (counts[i][j]: mapped i, reference j) and mapped stratum areas (ha).
+// Returns per-class adjusted area with a 95% interval, user's and producer's
+// accuracy, and overall accuracy. Strata without samples add no information.
+function olofssonEstimates(counts, areas) {
+  var total = areas.reduce(function (sum, v) { return sum + v; }, 0);
+  var weights = areas.map(function (v) { return v / total; });
+  var rowTotals = counts.map(function (row) {
+    return row.reduce(function (sum, v) { return sum + v; }, 0);
+  });
+  // Estimated area proportion of each cell
+  var p = counts.map(function (row, i) {
+    return row.map(function (n) { return rowTotals[i] > 0 ? weights[i] * n / rowTotals[i] : 0; });
+  });
+
+  var classes = counts.map(function (row, j) {
+    var refShare = 0;
+    var variance = 0;
+    counts.forEach(function (r, i) {
+      refShare += p[i][j];
+      if (rowTotals[i] > 1) {
+        var f = r[j] / rowTotals[i];
+        variance += weights[i] * weights[i] * f * (1 - f) / (rowTotals[i] - 1);
+      }
+    });
+    return {
+      mappedArea: areas[j],
+      adjustedArea: refShare * total,
+      ci95: CI_Z * Math.sqrt(variance) * total,
+      userAccuracy: rowTotals[j] > 0 ? counts[j][j] / rowTotals[j] : null,
+      producerAccuracy: refShare > 0 ? p[j][j] / refShare : null
+    };
+  });
+  var overall = p.reduce(function (sum, row, i) { return sum + row[i]; }, 0);
+  return { classes: classes, overallAccuracy: overall };
+}
+
+// 7e. BATCH SITES
+
+var BATCH_MAX_SITES = 200;     // Each site is a separate pipeline and task
+
+// Per-site summary row: area per change class, mean slope and the share of
+// pixels with a significant trend. The pipeline runs on the site geometry
+// with the already resolved config (season and thresholds are not re-derived).
+function summarizeSite(config, site, siteId) {
+  var region = site.geometry();
+  var a = runAnalysis(config, region);
+  var areas = areaByValue(a.changeClass.selfMask(), region);
+  var means = ee.Image.cat([
+    a.slope.rename('mean_slope'),
+    a.significantTrend.rename('significant_share')
+  ]).reduceRegion({
+    reducer: ee.Reducer.mean(),
+    geometry: region,
+    scale: 30,
+    maxPixels: 1e13
+  });
+
+  var props = {
+    site_id: siteId,
+    site_area_ha: region.area(1).divide(SQ_METERS_PER_HECTARE),
+    mean_slope: means.get('mean_slope'),
+    significant_share: means.get('significant_share')
+  };
+  Object.keys(classNames).forEach(function (key) {
+    props['area_ha_' + key] = areas.get(key, 0);
+  });
+  return { analysis: a, summary: ee.Feature(null, props) };
+}
+
+// Full pipeline: every product is rebuilt from the config object.
+// Stages add their outputs to the shared analysis object in order.
+function runAnalysis(config, region) {
+  var a = { config: config, region: region };
+  a.fullCollection = getLandsatCollection(region, config);
+  computeMaskedFraction(a);
+  computeExclusions(a);
+  computeStates(a);
+  computeTrends(a);
+  classifyChange(a);
+  computeEpochs(a);
+  assessDataSufficiency(a);
+  detectDisturbance(a);
+  projectTrajectory(a);
+  computeStatistics(a);
+  computePatches(a);
+  computeSensitivitySweep(a);
+  drawValidationSample(a);
+  return a;
+}
+
+// Active analysis shown on the map (replaced on every Apply)
+var current = null;
+
+// 8. VISUALIZATION
+
+var classNames = {
+  1: 'Canopy Loss',
+  2: 'Degradation',
+  3: 'Emerging Biomass',
+  4: 'Maturation',
+  5: 'Densification',
+  6: 'Establishment',
+  7: 'Sparse Accumulation',
+  8: 'Transitional Accumulation',
+  9: 'Canopy Thinning',
+  10: 'Transitional Decline',
+  11: 'Sparse Loss',
+  12: 'Sparse Depletion',
+  13: 'Transitional Depletion'
+};
+
+var changeViz = {
+  min: 1,
+  max: 13,
+  palette: [
+    'D7191C', // 1. Loss
+    'FDAE61', // 2. Degradation
+    'A6D96A', // 3. Emerging
+    '008837', // 4. Maturation
+    '00441B', // 5. Densification
+    '2C7BB6', // 6. Establishment
+    'D9F0D3', // 7. Sparse Accumulation
+    '74C476', // 8. Transitional Accumul.
+    '8C510A', // 9. Canopy Thinning
+    'F46D43', // 10. Transitional Decline
+    'FEE08B', // 11. Sparse Loss
+    'DFC27D', // 12. Sparse Depletion
+    'BF812D'  // 13. Transitional Depletion
+  ]
+};
+
+// State colours of the inspector sequence strip (1 = Dense ... 4 = Bare)
+var stateColors = { 1: '00441B', 2: '78C679', 3: 'FEE391', 4: 'B15928' };
+
+var trajectoryViz = {
+  min: 1,
+  max: 7,
+  palette: Object.keys(TRAJECTORY_TYPES).map(function (key) { return TRAJECTORY_TYPES[key].color; })
+};
+
+var exclusionViz = {
+  min: 1,
+  max: 4,
+  palette: Object.keys(EXCLUSION_REASONS).map(function (key) { return EXCLUSION_REASONS[key].color; })
+};
+
+var EPOCH_PALETTE = ['08306b', '2171b5', '4eb3d3', '7fcdbb', 'c7e9b4', 'ffffb2', 'fd8d3c'];
+
+function getEpochViz(epochs) {
+  return {
+    min: epochs.length > 0 ? epochs[0].label : 1990,
+    max: epochs.length > 0 ? epochs[epochs.length - 1].label : 2020,
+    palette: EPOCH_PALETTE
+  };
+}
+
+var projViz = {
+  min: 0,
+  max: 30,
+  palette: ['00FF00', 'FFFF00', 'FF0000']
+};
+
+var trendViz = {
+  min: 1,
+  max: 3,
+  palette: ['228B22', 'CCCCCC', 'FF0000']
+};
+
+var slopeViz = {
+  min: -0.015,
+  max: 0.015,
+  palette: ['a50026', 'd73027', 'f46d43', 'fdae61', 'fee08b', 'ffffbf', 'd9ef8b', 'a6d96a', '66bd63', '1a9850', '006837']
+};
+
+var magnitudeViz = {
+  min: 0,
+  max: 0.5,
+  palette: ['ffffb2', 'fecc5c', 'fd8d3c', 'f03b20', 'bd0026']
+};
+
+var maskedViz = {
+  min: 0,
+  max: 1,
+  palette: ['ffffff', 'bcbddc', '756bb1', '3f007d']
+};
+
+var observationViz = {
+  palette: ['fff7ec', 'fdbb84', 'ef6548', '990000']
+};
+
+// Colour ramp upper bound: one value per year in annual mode, else scenes
+function getObservationCountMax(config) {
+  return config.trendInput === 'annual' ? config.endYear - config.startYear + 1 : 200;
+}
+
+var recoveryViz = {
+  min: 0,
+  max: 20,
+  palette: ['006837', '78c679', 'ffffcc']
+};
+
+var DISTURBANCE_YEAR_PALETTE = ['440154', '3b528b', '21918c', '5ec962', 'fde725'];
+
+var stabilityViz = {
+  palette: ['d7191c', 'fdae61', 'ffffbf', 'a6d96a', '1a9641']
+};
+
+// Replaces all map layers with the products of the given analysis
+function renderLayers(a) {
+  Map.layers().reset();
+
+  Map.addLayer(a.changeClassMap.updateMask(a.changeClassMap.gt(0)), changeViz, 'Vegetation Change');
+  Map.addLayer(a.establishmentEpoch, getEpochViz(a.epochs), 'Canopy Gain Epoch (Est. + Mat.)', false);
+  Map.addLayer(a.trajectoryType, trajectoryViz, 'Trajectory Type', false);
+  Map.addLayer(a.firstLossEpoch, getEpochViz(a.epochs), 'First Loss Epoch', false);
+  Map.addLayer(a.yearsToCanopy, projViz, 'Years to Dense Canopy (Theoretical)', false);
+
+  // 8b. SUPPLEMENTARY DATA LAYERS
+
+  var significantTrendLayer = a.trendClass.updateMask(a.significantTrend);
+  Map.addLayer(significantTrendLayer, trendViz, 'Statistical Trends (All Classes)', false);
+  Map.addLayer(a.slope.updateMask(a.significantTrend), slopeViz, 'Trend Magnitude (Slope)', false);
+
+  // 8c. DISTURBANCE LAYERS
+
+  var yearViz = { min: a.config.startYear, max: a.config.endYear, palette: DISTURBANCE_YEAR_PALETTE };
+  Map.addLayer(a.disturbanceYear, yearViz, 'Disturbance Year (LandTrendr)', false);
+  Map.addLayer(a.disturbanceMagnitude, magnitudeViz, 'Disturbance Magnitude', false);
+  Map.addLayer(a.recoveryDuration, recoveryViz, 'Recovery Duration', false);
+
+  Map.addLayer(a.maskedFraction, maskedViz, 'Masked Fraction (QA)', false);
+  Map.addLayer(a.exclusionReason, exclusionViz, 'Masked Reason', false);
+
+  // 8d. DATA SUFFICIENCY LAYERS
+
+  var countViz = { min: 0, max: getObservationCountMax(a.config), palette: observationViz.palette };
+  Map.addLayer(a.observationCounts.select('obs_trend'), countViz, 'Observation Count (Trend)', false);
+  Map.addLayer(a.dataFlags.gt(0).selfMask(), { palette: ['FF00FF'] }, 'Insufficient Data', false);
+
+  var agreementViz = { min: 0, max: a.sweepVariants.length, palette: stabilityViz.palette };
+  Map.addLayer(a.stability.select('agreement'), agreementViz, 'Classification Stability', false);
+  var altClass = a.stability.select('alt_class');
+  Map.addLayer(altClass.updateMask(altClass.gt(0)), changeViz, 'Most Common Alternative Class', false);
+}
+
+// DYNAMIC LEGEND
+var legend = ui.Panel({
+  style: { position: 'bottom-left', padding: '10px 14px', backgroundColor: 'white', maxWidth: '280px' }
+});
+Map.add(legend);
+
+function makeRow(color, name, desc) {
+  var colorBox = ui.Label({ style: { backgroundColor: '#' + color, padding: '10px', margin: '0 8px 6px 0' } });
+  var textPanel = ui.Panel({
+    widgets: [
+      ui.Label({ value: name, style: { fontWeight: 'bold', fontSize: '11px', margin: '0' } }),
+      ui.Label({ value: desc, style: { fontSize: '9px', color: '555555', margin: '0' } })
+    ],
+    style: { margin: '0' }
+  });
+  return ui.Panel({ widgets: [colorBox, textPanel], layout: ui.Panel.Layout.Flow('horizontal'), style: { margin: '0 0 2px 0' } });
+}
+
+// Horizontal colour ramp with min / mid / max labels underneath
+function makeGradient(palette, minLabel, midLabel, maxLabel) {
+  var gradient = ui.Panel({
+    style: {
+      width: '200px', height: '20px', margin: '0 0 10px 0',
+      backgroundImage: 'linear-gradient(to right, #' + palette.join(', #') + ')'
+    }
+  });
+  var labels = ui.Panel({
+    widgets: [ui.Label(minLabel, { margin: '0', fontSize: '10px' }), ui.Label(midLabel, { margin: '0 auto', fontSize: '10px' }), ui.Label(maxLabel, { margin: '0', fontSize: '10px' })],
+    layout: ui.Panel.Layout.Flow('horizontal'), style: { width: '200px' }
+  });
+  return ui.Panel([gradient, labels]);
+}
+
+function updateLegend(layerName) {
+  legend.clear();
+
+  var cfg = current.config;
+  var t = cfg.thresholds;
+  var epochs = current.epochs;
+  var estimator = TREND_METHODS[cfg.trendMethod].label;
+  var vi = INDICES[cfg.index].label;
+
+  // One row per epoch, coloured as in getEpochViz
+  function addEpochRows() {
+    var palette = EPOCH_PALETTE;
+    for (var i = 0; i < epochs.length; i++) {
+      var e = epochs[i];
+      var color = palette[i % palette.length];
+      var label = e.start + '-' + e.end;
+      var desc = (i === 0) ? 'Earliest' : ((i === epochs.length - 1) ? 'Latest' : '');
+      legend.add(makeRow(color, label, desc));
+    }
+  }
+
+  if (layerName === 'Canopy Gain Epoch (Est. + Mat.)') {
+    legend.add(ui.Label({ value: 'Canopy Gain Epoch', style: { fontWeight: 'bold', fontSize: '14px', margin: '0 0 4px 0' } }));
+    legend.add(ui.Label({ value: 'When area first reached dense canopy', style: { fontSize: '10px', color: '666666', margin: '0 0 10px 0' } }));
+    addEpochRows();
+
+  } else if (layerName === 'First Loss Epoch') {
+    legend.add(ui.Label({ value: 'First Loss Epoch', style: { fontWeight: 'bold', fontSize: '14px', margin: '0 0 4px 0' } }));
+    legend.add(ui.Label({ value: 'Epoch of the first drop to a lower state', style: { fontSize: '10px', color: '666666', margin: '0 0 10px 0' } }));
+    addEpochRows();
+
+  } else if (layerName === 'Trajectory Type') {
+    legend.add(ui.Label({ value: 'Trajectory Type', style: { fontWeight: 'bold', fontSize: '14px', margin: '0 0 4px 0' } }));
+    legend.add(ui.Label({ value: 'State sequence ' + cfg.startYear + ' (baseline) and every 5-year epoch', style: { fontSize: '10px', color: '666666', margin: '0 0 10px 0' } }));
+    Object.keys(TRAJECTORY_TYPES).forEach(function (key) {
+      legend.add(makeRow(TRAJECTORY_TYPES[key].color, TRAJECTORY_TYPES[key].name, TRAJECTORY_TYPES[key].desc));
+    });
+
+  } else if (layerName === 'Years to Dense Canopy (Theoretical)') {
+    legend.add(ui.Label({ value: 'Years to Dense Canopy', style: { fontWeight: 'bold', fontSize: '14px', margin: '0 0 4px 0' } }));
+    legend.add(ui.Label({
+      value: cfg.projectionModel === 'logistic' ?
+        'Theoretical Logistic Projection (annual ' + vi + ' fit)' :
+        'Theoretical Linear Projection (' + estimator + ' recent slope)',
+      style: { fontSize: '10px', color: '666666', margin: '0 0 10px 0' }
+    }));
+    legend.add(makeRow('00FF00', '0-5 years', 'Imminent'));
+    legend.add(makeRow('7FFF00', '5-10 years', ''));
+    legend.add(makeRow('FFFF00', '10-20 years', ''));
+    legend.add(makeRow('FF7F00', '20-30 years', ''));
+    legend.add(makeRow('FF0000', '>30 years', 'Distant'));
+
+  } else if (layerName === 'Statistical Trends (All Classes)') {
+    legend.add(ui.Label({ value: 'Statistical Trends (MK Test)', style: { fontWeight: 'bold', fontSize: '14px', margin: '0 0 4px 0' } }));
+    legend.add(ui.Label({ value: 'Significant trends (p < ' + cfg.significanceLevel + ', ' + describeSignificance(cfg) + ') across all strata', style: { fontSize: '10px', color: '666666', margin: '0 0 10px 0' } }));
+    legend.add(makeRow('228B22', 'Gaining', '> +' + cfg.gainingSlope + ' ' + vi + '/yr'));
+    legend.add(makeRow('FF0000', 'Losing', '< ' + cfg.losingSlope + ' ' + vi + '/yr'));
+    legend.add(makeRow('CCCCCC', 'Stable', 'No sig. trend or low slope'));
+    legend.add(ui.Label({ value: 'Slope estimator: ' + estimator, style: { fontSize: '9px', color: '888888', margin: '6px 0 0 0' } }));
+
+  } else if (layerName === 'Trend Magnitude (Slope)') {
+    legend.add(ui.Label({ value: 'Trend Magnitude', style: { fontWeight: 'bold', fontSize: '14px', margin: '0 0 4px 0' } }));
+    legend.add(ui.Label({ value: 'Slope of significant trends (' + estimator + ')', style: { fontSize: '10px', color: '666666', margin: '0 0 10px 0' } }));
+    legend.add(makeGradient(['a50026', 'ffffbf', '006837'], '-0.015', '0', '+0.015'));
+
+  } else if (layerName === 'Disturbance Year (LandTrendr)') {
+    legend.add(ui.Label({ value: 'Disturbance Year', style: { fontWeight: 'bold', fontSize: '14px', margin: '0 0 4px 0' } }));
+    legend.add(ui.Label({ value: 'Onset of largest ' + vi + ' loss ≥' + cfg.disturbanceMinMagnitude + ' (LandTrendr)', style: { fontSize: '10px', color: '666666', margin: '0 0 10px 0' } }));
+    legend.add(makeGradient(DISTURBANCE_YEAR_PALETTE, String(cfg.startYear), String(Math.round((cfg.startYear + cfg.endYear) / 2)), String(cfg.endYear)));
+
+  } else if (layerName === 'Disturbance Magnitude') {
+    legend.add(ui.Label({ value: 'Disturbance Magnitude', style: { fontWeight: 'bold', fontSize: '14px', margin: '0 0 4px 0' } }));
+    legend.add(ui.Label({ value: vi + ' drop of the largest loss segment', style: { fontSize: '10px', color: '666666', margin: '0 0 10px 0' } }));
+    legend.add(makeGradient(magnitudeViz.palette, '0', '0.25', '≥0.5'));
+
+  } else if (layerName === 'Recovery Duration') {
+    legend.add(ui.Label({ value: 'Recovery Duration', style: { fontWeight: 'bold', fontSize: '14px', margin: '0 0 4px 0' } }));
+    legend.add(ui.Label({ value: 'Years to regain ' + (RECOVERY_FRACTION * 100) + '% of the ' + vi + ' lost', style: { fontSize: '10px', color: '666666', margin: '0 0 10px 0' } }));
+    legend.add(makeGradient(recoveryViz.palette, '0', '10', '≥20 yr'));
+    legend.add(ui.Label({ value: 'Unrecovered disturbances are not shown', style: { fontSize: '9px', color: '888888' } }));
+
+  } else if (layerName === 'Observation Count (Trend)') {
+    legend.add(ui.Label({ value: 'Observation Count', style: { fontWeight: 'bold', fontSize: '14px', margin: '0 0 4px 0' } }));
+    legend.add(ui.Label({ value: 'Valid observations in the trend series (' + describeTrendInput(cfg).toLowerCase() + ')', style: { fontSize: '10px', color: '666666', margin: '0 0 10px 0' } }));
+    var countMax = getObservationCountMax(cfg);
+    legend.add(makeGradient(observationViz.palette, '0', String(Math.round(countMax / 2)), '≥' + countMax));
+
+  } else if (layerName === 'Insufficient Data') {
+    legend.add(ui.Label({ value: 'Insufficient Data', style: { fontWeight: 'bold', fontSize: '14px', margin: '0 0 4px 0' } }));
+    legend.add(ui.Label({ value: 'Pixels below the minimum observation rule', style: { fontSize: '10px', color: '666666', margin: '0 0 10px 0' } }));
+    legend.add(makeRow('FF00FF', 'Flagged', '<' + cfg.minObservations + ' obs. per composite or <' + cfg.minTrendObservations + ' in trend'));
+    legend.add(ui.Label({ value: cfg.insufficientData === 'mask' ? 'Affected classes are masked' : 'Classes shown but unreliable', style: { fontSize: '9px', color: '888888' } }));
+
+  } else if (layerName === 'Classification Stability') {
+    legend.add(ui.Label({ value: 'Classification Stability', style: { fontWeight: 'bold', fontSize: '14px', margin: '0 0 4px 0' } }));
+    legend.add(ui.Label({ value: 'Sweep variants agreeing with the default class', style: { fontSize: '10px', color: '666666', margin: '0 0 10px 0' } }));
+    var variantCount = current.sweepVariants.length;
+    legend.add(makeGradient(stabilityViz.palette, '0', String(Math.round(variantCount / 2)), String(variantCount)));
+    legend.add(ui.Label({ value: 'Offsets ' + cfg.sweepOffsets.join(', ') + ' × slope factors ' + cfg.sweepSlopeFactors.join(', '), style: { fontSize: '9px', color: '888888', margin: '6px 0 0 0' } }));
+
+  } else if (layerName === 'Most Common Alternative Class') {
+    legend.add(ui.Label({ value: 'Most Common Alternative Class', style: { fontWeight: 'bold', fontSize: '14px', margin: '0 0 4px 0' } }));
+    legend.add(ui.Label({ value: 'Class most sweep variants give instead (unshaded: all agree or no change)', style: { fontSize: '10px', color: '666666', margin: '0 0 10px 0' } }));
+    Object.keys(classNames).forEach(function (key) {
+      legend.add(makeRow(changeViz.palette[key - 1], classNames[key], ''));
+    });
+
+  } else if (layerName === 'Masked Reason') {
+    legend.add(ui.Label({ value: 'Masked Reason', style: { fontWeight: 'bold', fontSize: '14px', margin: '0 0 4px 0' } }));
+    legend.add(ui.Label({ value: 'Excluded before classification (no state, change class, trend, disturbance or projection)', style: { fontSize: '10px', color: '666666', margin: '0 0 10px 0' } }));
+    Object.keys(EXCLUSION_REASONS).forEach(function (key) {
+      legend.add(makeRow(EXCLUSION_REASONS[key].color, EXCLUSION_REASONS[key].name, EXCLUSION_REASONS[key].desc(cfg)));
+    });
+    if (activeExclusions(cfg).length === 0) {
+      legend.add(ui.Label({ value: 'No exclusion mask is active', style: { fontSize: '9px', color: '888888' } }));
+    }
+
+  } else if (layerName === 'Masked Fraction (QA)') {
+    legend.add(ui.Label({ value: 'Masked Fraction', style: { fontWeight: 'bold', fontSize: '14px', margin: '0 0 4px 0' } }));
+    legend.add(ui.Label({ value: 'Share of in-season scenes removed by QA masking', style: { fontSize: '10px', color: '666666', margin: '0 0 10px 0' } }));
+    legend.add(makeGradient(maskedViz.palette, '0%', '50%', '100%'));
+
+  } else {
+    legend.add(ui.Label({ value: 'Vegetation Cover Change', style: { fontWeight: 'bold', fontSize: '14px', margin: '0 0 4px 0' } }));
+    var duration = cfg.endYear - cfg.startYear;
+    legend.add(ui.Label({ value: duration + '-Year ' + vi + ' Analysis (' + cfg.startYear + '-' + cfg.endYear + ')', style: { fontSize: '10px', color: '666666', margin: '0 0 10px 0' } }));
+
+    legend.add(ui.Label({ value: 'State Transitions (Robust)', style: { fontSize: '9px', color: '666666', margin: '0 0 4px 0' } }));
+    legend.add(makeRow('D7191C', 'Canopy Loss', 'Dense → Sparse/Bare'));
+    legend.add(makeRow('FDAE61', 'Degradation', 'Dense → Transitional'));
+    legend.add(makeRow('A6D96A', 'Emerging Biomass', 'Sparse → Transitional'));
+    legend.add(makeRow('008837', 'Maturation', 'Transitional → Dense'));
+    legend.add(makeRow('2C7BB6', 'Establishment', 'Sparse → Dense'));
+    legend.add(makeRow('F46D43', 'Trans. Decline', 'Transitional → Sparse/Bare'));
+    legend.add(makeRow('FEE08B', 'Sparse Loss', 'Sparse → Bare'));
+
+    legend.add(ui.Label({ value: 'Trend Confirmed', style: { fontSize: '9px', color: '666666', margin: '8px 0 4px 0' } }));
+    legend.add(makeRow('00441B', 'Densification', 'Dense → Dense (+Gain)'));
+    legend.add(makeRow('74C476', 'Trans. Accumulation', 'Trans → Trans (+Gain)'));
+    legend.add(makeRow('D9F0D3', 'Sparse Accumulation', 'Sparse → Sparse (+Gain)'));
+    legend.add(makeRow('8C510A', 'Canopy Thinning', 'Dense → Dense (+Loss)'));
+    legend.add(makeRow('BF812D', 'Trans. Depletion', 'Trans → Trans (+Loss)'));
+    legend.add(makeRow('DFC27D', 'Sparse Depletion', 'Sparse → Sparse (+Loss)'));
+
+    var footerPanel = ui.Panel({ style: { margin: '10px 0 0 0', padding: '8px 0 0 0' } });
+    footerPanel.add(ui.Label({ value: vi + ': Dense ≥' + t.dense + ' | Trans ' + t.transitional + '-' + t.dense + ' | Sparse ' + t.sparse + '-' + t.transitional, style: { fontSize: '9px', color: '888888' } }));
+    footerPanel.add(ui.Label({ value: 'Thresholds: ' + cfg.thresholdSource, style: { fontSize: '9px', color: '888888', margin: '0 8px' } }));
+    footerPanel.add(ui.Label({ value: 'Trend slope: ' + estimator + ', ' + describeTrendInput(cfg).toLowerCase(), style: { fontSize: '9px', color: '888888', margin: '0 8px' } }));
+    footerPanel.add(ui.Label({ value: 'Significance: p < ' + cfg.significanceLevel + ' (' + MK_VARIANTS[cfg.mkVariant].label + ', ' + MULTIPLE_TESTING[cfg.multipleTesting].label + ')', style: { fontSize: '9px', color: '888888', margin: '0 8px' } }));
+    footerPanel.add(ui.Label({ value: 'Season: ' + describeSeason(cfg) + ' (' + cfg.seasonSource + ')', style: { fontSize: '9px', color: '888888', margin: '0 8px' } }));
+    footerPanel.add(ui.Label({ value: 'Harmonization: ' + HARMONIZATION_MODES[cfg.harmonization].label, style: { fontSize: '9px', color: '888888', margin: '0 8px' } }));
+    if (cfg.sentinel2) {
+      footerPanel.add(ui.Label({ value: 'Sentinel-2: fused from 2017 (OLI-adjusted, 30 m)', style: { fontSize: '9px', color: '888888', margin: '0 8px' } }));
+    }
+    if (cfg.topoCorrection !== 'none' || cfg.maskTerrainShadow) {
+      footerPanel.add(ui.Label({ value: 'Terrain: ' + TOPO_CORRECTIONS[cfg.topoCorrection].label + (cfg.maskTerrainShadow ? ', shadow masked' : '') + ' (' + TERRAIN_DEMS[cfg.terrainDem].label + ')', style: { fontSize: '9px', color: '888888', margin: '0 8px' } }));
+    }
+    if (cfg.mmuPixels > 1) {
+      footerPanel.add(ui.Label({ value: 'Min. mapping unit: ' + cfg.mmuPixels + ' px (' + MMU_MODES[cfg.mmuMode].label.toLowerCase() + ')', style: { fontSize: '9px', color: '888888', margin: '0 8px' } }));
+    }
+    if (activeExclusions(cfg).length > 0) {
+      footerPanel.add(ui.Label({ value: 'Excluded: ' + describeExclusions(cfg), style: { fontSize: '9px', color: '888888', margin: '0 8px' } }));
+    }
+    legend.add(footerPanel);
+  }
+}
+
+Map.style().set('cursor', 'crosshair');
+
+// 9. POINT INSPECTOR
+
+var inspectorPanel = ui.Panel({
+  style: { position: 'bottom-right', padding: '8px', backgroundColor: 'white', width: '350px', shown: false }
+});
+Map.add(inspectorPanel);
+
+// Projection bound label; 9999 marks a non-positive rate
+function formatYears(years) {
+  if (years === null || years === undefined || years >= 9999) return '∞';
+  return years > PROJECTION_HORIZON ? '>' + PROJECTION_HORIZON : String(Math.round(years));
+}
+
+function formatP(p) {
+  if (p === null || p === undefined) return 'n/a';
+  return p < 0.001 ? p.toExponential(1) : p.toFixed(3);
+}
+
+// Fit R² (masked where the logistic fit is undefined)
+function formatR2(r2) {
+  return r2 === null || r2 === undefined ? 'n/a' : r2.toFixed(2);
+}
+
+// Layers whose inspector line needs a.stability
+var STABILITY_LAYERS = ['Classification Stability', 'Most Common Alternative Class'];
+
+function updateInspector(coords) {
+  // Capture the analysis at click time so a later Apply cannot mix results
+  var a = current;
+  var cfg = a.config;
+  var t = cfg.thresholds;
+  var epochs = a.epochs;
+  var vi = INDICES[cfg.index].label;
+  var startYear = cfg.startYear;
+  var endYear = cfg.endYear;
+
+  var point = ee.Geometry.Point(coords.lon, coords.lat);
+  markComparison(point);
+
+  var layers = Map.layers();
+  for (var i = 0; i < layers.length(); i++) {
+    var layer = layers.get(i);
+    if (layer.getShown()) {
+      updateLegend(layer.getName());
+      break;
+    }
+  }
+  // Stability reclassifies every sweep variant; only read it while it is on the map
+  var showStability = false;
+  for (var j = 0; j < layers.length(); j++) {
+    if (layers.get(j).getShown() && STABILITY_LAYERS.indexOf(layers.get(j).getName()) >= 0) showStability = true;
+  }
+
+  inspectorPanel.clear();
+  inspectorPanel.style().set('shown', true);
+  inspectorPanel.add(ui.Label('Loading...', { fontStyle: 'italic' }));
+
+  var values = ee.Image.cat([
+    a.changeClass,
+    a.startClass.rename('start_class'),
+    a.endClass.rename('end_class'),
+    a.trendClass.rename('trend_class'),
+    a.slope.rename('slope'),
+    a.pValue,
+    a.pRaw,
+    a.recentSlope,
+    a.endNDVI.rename('current_ndvi'),
+    a.establishmentEpoch.rename('epoch'),
+    a.stateSequence,
+    a.trajectoryType,
+    a.firstLossEpoch,
+    a.yearsToCanopy.rename('years_proj'),
+    a.logisticProjection,
+    a.disturbanceYear,
+    a.disturbanceMagnitude,
+    a.recoveryDuration,
+    a.maskedFraction,
+    a.exclusionReason,
+    a.observationCounts,
+    a.dataFlags,
+    getTerrain(cfg)
+  ].concat(showStability ? [a.stability] : [])).reduceRegion({
+    reducer: ee.Reducer.first(),
+    geometry: point,
+    scale: 30
+  });
+
+  values.evaluate(function (res) {
+    // Ignore results from a superseded run
+    if (a !== current) return;
+
+    inspectorPanel.clear();
+
+    if (!res) {
+      inspectorPanel.add(ui.Label('No data available (masked or outside bounds)', { fontSize: '11px', color: 'gray' }));
+      return;
+    }
+
+    var header = ui.Panel({
+      widgets: [
+        ui.Label('Point Analysis', { fontWeight: 'bold', fontSize: '14px' }),
+        ui.Button({
+          label: '✕', style: { padding: '0 6px' },
+          onClick: function () { inspectorPanel.style().set('shown', false); }
+        })
+      ],
+      layout: ui.Panel.Layout.Flow('horizontal'),
+      style: { margin: '0 0 6px 0' }
+    });
+    inspectorPanel.add(header);
+
+    inspectorPanel.add(ui.Label(
+      'Location: ' + coords.lat.toFixed(5) + '°N, ' + coords.lon.toFixed(5) + '°E',
+      { fontSize: '10px', color: '666666', margin: '0 0 2px 0' }
+    ));
+    inspectorPanel.add(ui.Label(
+      'Season: ' + describeSeason(cfg) + ' (' + cfg.seasonSource + ')',
+      { fontSize: '9px', color: '888888', margin: '0 0 2px 0' }
+    ));
+    if (res.dem_slope !== null && res.dem_slope !== undefined) {
+      inspectorPanel.add(ui.Label(
+        'Terrain: slope ' + res.dem_slope.toFixed(1) + '°, aspect ' + Math.round(res.dem_aspect) + '° (' +
+        compassDirection(res.dem_aspect) + ')' + (cfg.topoCorrection !== 'none' ? ', ' + TOPO_CORRECTIONS[cfg.topoCorrection].label + ' applied' : ''),
+        { fontSize: '9px', color: '888888', margin: '0 0 2px 0' }
+      ));
+    }
+
+    if (res.masked_fraction !== null && res.masked_fraction !== undefined) {
+      inspectorPanel.add(ui.Label(
+        'QA masked: ' + Math.round(res.masked_fraction * 100) + '% of in-season scenes',
+        { fontSize: '9px', color: res.masked_fraction > 0.8 ? 'CC6600' : '888888', margin: '0 0 2px 0' }
+      ));
+    }
+
+    var exclusion = EXCLUSION_REASONS[res.exclusion_reason];
+    if (exclusion) {
+      inspectorPanel.add(ui.Label(
+        '⛔ Excluded: ' + exclusion.name + ' (' + exclusion.desc(cfg) + '); no state, change class, trend, disturbance or projection',
+        { fontSize: '9px', color: '#' + exclusion.color, fontWeight: 'bold', margin: '0 0 2px 0' }
+      ));
+    }
+
+    inspectorPanel.add(ui.Label(
+      'Obs: baseline ' + res.obs_baseline + ' | current ' + res.obs_current +
+      ' | min epoch ' + res.obs_epoch_min + ' | trend ' + res.obs_trend,
+      { fontSize: '9px', color: '888888', margin: '0 0 2px 0' }
+    ));
+    // Per-epoch counts, so a gap in the epoch sequence can be traced to its epoch
+    inspectorPanel.add(ui.Label(
+      'Obs per epoch: ' + epochs.map(function (e) {
+        var n = res['obs_' + e.label];
+        return e.label + ' ' + n + (n < cfg.minObservations ? '⚠' : '');
+      }).join(' | '),
+      { fontSize: '9px', color: res.obs_epoch_min < cfg.minObservations ? 'CC6600' : '888888', margin: res.data_flags ? '0 0 2px 0' : '0 0 8px 0' }
+    ));
+    if (res.data_flags) {
+      var lowParts = Object.keys(DATA_FLAG_NAMES).filter(function (bit) {
+        return (res.data_flags & Number(bit)) !== 0;
+      }).map(function (bit) { return DATA_FLAG_NAMES[bit]; });
+      inspectorPanel.add(ui.Label(
+        '⚠️ Insufficient data: ' + lowParts.join(', ') + (cfg.insufficientData === 'mask' ? ' (masked)' : ''),
+        { fontSize: '9px', color: 'CC6600', fontWeight: 'bold', margin: '0 0 8px 0' }
+      ));
+    }
+
+    var currentYearStart = endYear - 4;
+    inspectorPanel.add(ui.Label('Current State (' + currentYearStart + '-' + endYear + ')', { fontWeight: 'bold', fontSize: '11px', margin: '0 0 4px 0' }));
+
+    var currentNDVI = res.current_ndvi || 0;
+    var currentClass = vegNames[res.end_class] || 'Unknown';
+    var ndviColor = currentNDVI >= t.dense ? '006400' : (currentNDVI >= t.transitional ? '90EE90' : (currentNDVI >= t.sparse ? 'AAAA00' : 'AA6600'));
+
+    var currentPanel = ui.Panel({
+      widgets: [
+        ui.Label(vi + ': ' + currentNDVI.toFixed(3), { fontSize: '11px', fontWeight: 'bold' }),
+        ui.Label(currentClass, { fontSize: '11px', backgroundColor: '#' + ndviColor, color: currentNDVI >= t.transitional ? 'white' : 'black', padding: '2px 6px' })
+      ],
+      layout: ui.Panel.Layout.Flow('horizontal'),
+      style: { margin: '0 0 8px 0' }
+    });
+    inspectorPanel.add(currentPanel);
+
+    var slopeVal = res.slope || 0;
+    var recentSlopeVal = res.recent_slope || 0;
+    var logistic = cfg.projectionModel === 'logistic';
+    var slopeClass = slopeVal > cfg.gainingSlope ? 'Gaining' : (slopeVal < cfg.losingSlope ? 'Losing' : 'Stable');
+    var slopeColor = slopeVal > cfg.gainingSlope ? '228B22' : (slopeVal < cfg.losingSlope ? 'CC0000' : '888888');
+    var recentClass = recentSlopeVal > cfg.gainingSlope ? 'Gaining' : (recentSlopeVal < cfg.losingSlope ? 'Losing' : 'Stable');
+    var recentColor = recentSlopeVal > cfg.gainingSlope ? '228B22' : (recentSlopeVal < cfg.losingSlope ? 'CC0000' : '888888');
+
+    var trendAccel = '';
+    var trendAccelColor = '888888';
+    var ACCEL_THRESHOLD = 0.002;
+    if (Math.abs(recentSlopeVal - slopeVal) < ACCEL_THRESHOLD) {
+      trendAccel = '→ Consistent';
+      trendAccelColor = '666666';
+    } else if (recentSlopeVal > slopeVal + ACCEL_THRESHOLD) {
+      trendAccel = '↑ Accelerating';
+      trendAccelColor = '228B22';
+    } else {
+      trendAccel = '↓ Decelerating';
+      trendAccelColor = 'CC6600';
+    }
+
+    inspectorPanel.add(ui.Label('Trend Analysis', { fontWeight: 'bold', fontSize: '11px', margin: '0 0 4px 0' }));
+    inspectorPanel.add(ui.Label('Estimator: ' + TREND_METHODS[cfg.trendMethod].label + ' on ' + describeTrendInput(cfg).toLowerCase(), { fontSize: '9px', color: '888888', margin: '0 0 2px 0' }));
+
+    var duration = endYear - startYear;
+    var trend40Panel = ui.Panel({
+      widgets: [
+        ui.Label(duration + 'yr:', { fontSize: '10px', color: '666666' }),
+        ui.Label((slopeVal * 1000).toFixed(2) + '×10⁻³/yr', { fontSize: '10px' }),
+        ui.Label(slopeClass, { fontSize: '10px', color: slopeColor, fontWeight: 'bold' })
+      ],
+      layout: ui.Panel.Layout.Flow('horizontal'),
+      style: { margin: '0 0 2px 0' }
+    });
+    inspectorPanel.add(trend40Panel);
+
+    var pVal = res.p_value === null || res.p_value === undefined ? 1.0 : res.p_value;
+    var alpha = cfg.significanceLevel;
+    var sigLabel = pVal < alpha ? 'Significant (p<' + alpha + ')' : 'Not Significant (p≥' + alpha + ')';
+    var sigColor = pVal < alpha ? '228B22' : '888888';
+
+    inspectorPanel.add(ui.Label(sigLabel, { fontSize: '9px', color: sigColor, margin: '0 0 2px 0', fontStyle: 'italic' }));
+    inspectorPanel.add(ui.Label(
+      'p raw ' + formatP(res.p_raw) + ' | corrected ' + formatP(res.p_value) + ' (' + describeSignificance(cfg) + ')',
+      { fontSize: '9px', color: '888888', margin: '0 0 4px 0' }
+    ));
+
+    var trend10Panel = ui.Panel({
+      widgets: [
+        ui.Label('10yr:', { fontSize: '10px', color: '666666' }),
+        ui.Label((recentSlopeVal * 1000).toFixed(2) + '×10⁻³/yr', { fontSize: '10px' }),
+        ui.Label(recentClass, { fontSize: '10px', color: recentColor, fontWeight: 'bold' })
+      ],
+      layout: ui.Panel.Layout.Flow('horizontal'),
+      style: { margin: '0 0 2px 0' }
+    });
+    inspectorPanel.add(trend10Panel);
+
+    inspectorPanel.add(ui.Label(trendAccel, {
+      fontSize: '10px', color: trendAccelColor, fontStyle: 'italic', margin: '0 0 8px 0'
+    }));
+
+    inspectorPanel.add(ui.Label('State Transition', { fontWeight: 'bold', fontSize: '11px', margin: '0 0 4px 0' }));
+    inspectorPanel.add(ui.Label(
+      startYear + ': ' + (vegNames[res.start_class] || '?') + '  →  ' + endYear + ': ' + (vegNames[res.end_class] || '?'),
+      { fontSize: '11px', margin: '0 0 4px 0' }
+    ));
+
+    // Sequence strip: baseline and every epoch, coloured by state (grey = no data)
+    var sequenceLabels = [startYear].concat(epochs.map(function (e) { return e.label; }));
+    inspectorPanel.add(ui.Panel({
+      widgets: sequenceLabels.map(function (label) {
+        var state = res['state_' + label];
+        return ui.Label(String(label).slice(-2), {
+          fontSize: '9px', padding: '2px 3px', margin: '0 1px 0 0',
+          color: state === 1 || state === 4 ? 'FFFFFF' : '000000',
+          backgroundColor: '#' + (stateColors[state] || 'EEEEEE')
+        });
+      }),
+      layout: ui.Panel.Layout.Flow('horizontal'),
+      style: { margin: '0 0 2px 0' }
+    }));
+    var trajectory = TRAJECTORY_TYPES[res.trajectory];
+    inspectorPanel.add(ui.Label(
+      'Trajectory: ' + (trajectory ? trajectory.name : 'n/a') +
+        (res.first_loss_epoch ? ' (first loss ' + res.first_loss_epoch + ')' : ''),
+      { fontSize: '10px', color: '555555', margin: '0 0 8px 0' }
+    ));
+
+    inspectorPanel.add(ui.Label('Classification Result', { fontWeight: 'bold', fontSize: '11px', margin: '0 0 4px 0' }));
+    if (res.change_class && res.change_class > 0) {
+      var changeColors = changeViz.palette;
+      var changeColor = changeColors[res.change_class - 1] || 'CCCCCC';
+      var lightTextClasses = [3, 7, 11, 12];
+      var changePanel = ui.Panel({
+        style: { backgroundColor: '#' + changeColor, padding: '6px 10px', margin: '0 0 4px 0' }
+      });
+      changePanel.add(ui.Label(classNames[res.change_class] || 'Unknown', {
+        fontWeight: 'bold', fontSize: '12px',
+        color: lightTextClasses.indexOf(res.change_class) >= 0 ? '000000' : 'FFFFFF',
+        backgroundColor: '#' + changeColor
+      }));
+      inspectorPanel.add(changePanel);
+    } else {
+      inspectorPanel.add(ui.Label('No class change detected', { fontSize: '11px', fontStyle: 'italic', color: '888888' }));
+    }
+    if (res.agreement !== null && res.agreement !== undefined) {
+      var variantCount = a.sweepVariants.length;
+      var altName = res.alt_class === null || res.alt_class === undefined ? null :
+        (res.alt_class === 0 ? 'No change' : classNames[res.alt_class]);
+      inspectorPanel.add(ui.Label(
+        'Stability: ' + res.agreement + '/' + variantCount + ' sweep variants agree' +
+          (altName ? '; otherwise ' + altName : ''),
+        { fontSize: '9px', color: res.agreement < variantCount / 2 ? 'CC6600' : '888888', margin: '0 0 4px 0' }
+      ));
+    }
+
+    inspectorPanel.add(ui.Label('Dense Canopy Status', { fontWeight: 'bold', fontSize: '11px', margin: '8px 0 4px 0' }));
+
+    var statusPanel = ui.Panel({ style: { margin: '0 0 4px 0' } });
+    var startedDense = res.start_class === 1;
+    var nowDense = res.current_ndvi >= t.dense;
+
+    if (res.epoch) {
+      var epochEnd = res.epoch === epochs[epochs.length - 1].label ? endYear : res.epoch + 4;
+      statusPanel.add(ui.Label('✓ Canopy Reached: ' + res.epoch + '-' + epochEnd, {
+        fontSize: '11px', color: '228B22', fontWeight: 'bold'
+      }));
+      statusPanel.add(ui.Label('First reached ' + vi + ' ≥' + t.dense + ' (from non-dense)', {
+        fontSize: '9px', color: '666666', fontStyle: 'italic'
+      }));
+    } else if (startedDense && nowDense) {
+      statusPanel.add(ui.Label('✓ Established: pre-' + startYear, {
+        fontSize: '11px', color: '228B22', fontWeight: 'bold'
+      }));
+      statusPanel.add(ui.Label('Dense canopy throughout study period', {
+        fontSize: '9px', color: '666666', fontStyle: 'italic'
+      }));
+    } else if (!startedDense && nowDense && slopeVal > 0) {
+      var yearsAgo = (currentNDVI - t.dense) / slopeVal;
+      var crossYear = Math.round(endYear - yearsAgo);
+      statusPanel.add(ui.Label('✓ Established: ~' + crossYear, {
+        fontSize: '11px', color: '228B22', fontWeight: 'bold'
+      }));
+      statusPanel.add(ui.Label('Estimated crossing from ' + (vegNames[res.start_class] || 'transitional'), {
+        fontSize: '9px', color: '666666', fontStyle: 'italic'
+      }));
+    } else if (!startedDense && nowDense) {
+      statusPanel.add(ui.Label('✓ Established: ~' + (endYear - 4) + '-' + endYear, {
+        fontSize: '11px', color: '228B22', fontWeight: 'bold'
+      }));
+      statusPanel.add(ui.Label('Recently reached threshold', {
+        fontSize: '9px', color: '666666', fontStyle: 'italic'
+      }));
+    } else if (slopeVal > 0 && logistic && (res.logistic_years === null || res.logistic_years === undefined)) {
+      statusPanel.add(ui.Label('↗ Gaining (no logistic fit)', {
+        fontSize: '11px', color: '888888'
+      }));
+      statusPanel.add(ui.Label('Too few annual values to fit the curve', {
+        fontSize: '9px', color: '999999', fontStyle: 'italic'
+      }));
+    } else if (slopeVal > 0 && logistic && res.logistic_years >= 9999) {
+      statusPanel.add(ui.Label('↗ Not projected (fitted curve flat)', {
+        fontSize: '11px', color: '888888'
+      }));
+      statusPanel.add(ui.Label('Logistic rate ≤ 0 despite positive slope', {
+        fontSize: '9px', color: '999999', fontStyle: 'italic'
+      }));
+    } else if (slopeVal > 0) {
+      var yearsNeeded = logistic ? res.logistic_years : (t.dense - currentNDVI) / recentSlopeVal;
+      var modelNote = logistic ?
+        'Logistic, 95% CI ' + formatYears(res.logistic_lower) + '–' + formatYears(res.logistic_upper) +
+          ' yr, R² ' + formatR2(res.fit_r2) :
+        'Linear Model, ' + TREND_METHODS[cfg.trendMethod].tag;
+      if (yearsNeeded <= 0) {
+        statusPanel.add(ui.Label('✓ At threshold', {
+          fontSize: '11px', color: '228B22', fontWeight: 'bold'
+        }));
+      } else if (yearsNeeded <= PROJECTION_HORIZON) {
+        var projYear = endYear + Math.round(yearsNeeded);
+        statusPanel.add(ui.Label('↗ Projected: ~' + projYear + ' (Theoretical)', {
+          fontSize: '11px', color: '0066CC', fontWeight: 'bold'
+        }));
+        statusPanel.add(ui.Label('Est. ' + Math.round(yearsNeeded) + ' years (' + modelNote + ')', {
+          fontSize: '9px', color: '666666', fontStyle: 'italic'
+        }));
+      } else {
+        statusPanel.add(ui.Label('↗ Projected: ~' + (endYear + Math.round(yearsNeeded)) + ' (slow)', {
+          fontSize: '11px', color: '888888'
+        }));
+        statusPanel.add(ui.Label('~' + Math.round(yearsNeeded) + ' years at ' + (logistic ? 'fitted' : 'current') + ' rate', {
+          fontSize: '9px', color: '999999', fontStyle: 'italic'
+        }));
+      }
+    } else if (slopeVal < cfg.losingSlope) {
+      statusPanel.add(ui.Label('↘ Declining (no projection)', {
+        fontSize: '11px', color: 'CC0000'
+      }));
+      statusPanel.add(ui.Label('Strong negative trend', {
+        fontSize: '9px', color: '999999', fontStyle: 'italic'
+      }));
+    } else if (slopeVal < 0) {
+      statusPanel.add(ui.Label('↘ Slight decline', {
+        fontSize: '11px', color: 'CC6600'
+      }));
+      statusPanel.add(ui.Label('Trend negative but below ' + cfg.losingSlope + '/yr', {
+        fontSize: '9px', color: '999999', fontStyle: 'italic'
+      }));
+    } else {
+      statusPanel.add(ui.Label('— Stable (no change)', {
+        fontSize: '11px', color: '888888'
+      }));
+      statusPanel.add(ui.Label('No measurable ' + vi + ' trend', {
+        fontSize: '9px', color: '999999', fontStyle: 'italic'
+      }));
+    }
+    inspectorPanel.add(statusPanel);
+
+    inspectorPanel.add(ui.Label('Disturbance History (LandTrendr)', { fontWeight: 'bold', fontSize: '11px', margin: '8px 0 4px 0' }));
+    if (res.dist_year) {
+      inspectorPanel.add(ui.Label('Largest loss: ' + res.dist_year + ' (−' + res.dist_magnitude.toFixed(3) + ' ' + vi + ')', {
+        fontSize: '11px', color: 'CC0000', fontWeight: 'bold'
+      }));
+      inspectorPanel.add(ui.Label(
+        res.recovery_years !== null && res.recovery_years !== undefined ?
+          'Recovered ' + (RECOVERY_FRACTION * 100) + '% in ' + res.recovery_years + ' years' :
+          'Not recovered by ' + endYear,
+        { fontSize: '9px', color: '666666', fontStyle: 'italic', margin: '0 0 4px 0' }
+      ));
+    } else {
+      inspectorPanel.add(ui.Label('No loss ≥' + cfg.disturbanceMinMagnitude + ' ' + vi + ' detected', {
+        fontSize: '10px', color: '888888', fontStyle: 'italic', margin: '0 0 4px 0'
+      }));
+    }
+
+    // Optimized Chart Generation
+    // Scene points are split by sensor when Sentinel-2 is fused; the hidden
+    // all-sensor series carries the trendline
+    var bySensor = cfg.sentinel2 && cfg.trendInput === 'scenes';
+    var pointSeries = bySensor ? splitBySensor(a.trendSeries) : a.trendSeries.select('VI');
+    var chartSeries = logistic ? pointSeries.merge(a.fittedSeries) : pointSeries;
+    var seriesStyles = bySensor ? {
+      0: { pointSize: 0, lineWidth: 0, visibleInLegend: false },
+      1: { color: '333333' },
+      2: { color: 'E66101' },
+      3: { color: '0066CC', lineWidth: 2, pointSize: 0, visibleInLegend: false }
+    } : { 0: { color: '333333' }, 1: { color: '0066CC', lineWidth: 2, pointSize: 0 } };
+    var chart = ui.Chart.image.series({
+      imageCollection: chartSeries,
+      region: point,
+      reducer: ee.Reducer.first(),
+      scale: 30
+    }).setOptions({
+        // The chart trendline is always least squares, whatever trendMethod is
+        title: vi + ' Trend (' + startYear + '-' + endYear + ', ' + describeTrendInput(cfg) + ', OLS line' + (logistic ? ', logistic fit' : '') + ')',
+        titleTextStyle: { fontSize: 11, bold: true },
+        hAxis: { title: '', format: 'yyyy', textStyle: { fontSize: 9 } },
+        vAxis: {
+          title: '',
+          viewWindow: { min: INDICES[cfg.index].range[0], max: INDICES[cfg.index].range[1] },
+          textStyle: { fontSize: 9 },
+          gridlines: { count: 3 }
+        },
+        pointSize: cfg.trendInput === 'annual' ? 4 : 2,
+        legend: { position: bySensor ? 'top' : 'none', textStyle: { fontSize: 9 } },
+        series: seriesStyles,
+        interpolateNulls: true,
+        trendlines: { 0: { type: 'linear', color: 'FF0000', lineWidth: 2, showR2: true } },
+        chartArea: { width: '85%', height: '70%' },
+        height: 180
+      });
+
+    inspectorPanel.add(chart);
 
     inspectorPanel.add(ui.Label(
-      'Location: ' + coords.lat.toFixed(5) + '°N, ' + coords.lon.toFixed(5) + '°E',
-      { fontSize: '10px', color: '666666', margin: '0 0 8px 0' }
+      vi + ' Thresholds: Dense≥' + t.dense + ' | Trans ' + t.transitional + '-' + t.dense + ' | Sparse ' + t.sparse + '-' + t.transitional,
+      { fontSize: '9px', color: '888888', margin: '4px 0 0 0' }
     ));
 
-    var currentYearStart = endYear - 4;
-    inspectorPanel.add(ui.Label('Current State (' + currentYearStart + '-' + endYear + ')', { fontWeight: 'bold', fontSize: '11px', margin: '0 0 4px 0' }));
+    var adj = cfg.sensitivityAdjustment;
+    if (adj !== 0) {
+      inspectorPanel.add(ui.Label(
+        '⚠️ Sensitivity Analysis Active (Adj: ' + (adj > 0 ? '+' : '') + adj + ')',
+        { fontSize: '9px', color: 'BC8F8F', margin: '2px 0 0 0', fontWeight: 'bold' }
+      ));
+    }
+  });
+}
+
+Map.onClick(updateInspector);
+
+// 9b. AREA STATISTICS PANEL
+
+// Filled on request from the control panel (reductions over the whole ROI are slow)
+var statsPanel = ui.Panel({ style: { margin: '6px 0 0 0' } });
+
+// cellWidth applies to every column after the first (default 46px)
+function makeTableRow(cells, header, cellWidth) {
+  return ui.Panel({
+    widgets: cells.map(function (text, i) {
+      return ui.Label(String(text), {
+        fontSize: '9px', width: i === 0 ? '76px' : (cellWidth || '46px'), margin: '1px 2px',
+        fontWeight: (header || i === 0) ? 'bold' : 'normal', textAlign: i === 0 ? 'left' : 'right'
+      });
+    }),
+    layout: ui.Panel.Layout.Flow('horizontal')
+  });
+}
+
+function showStatistics(a) {
+  statsPanel.clear();
+  statsPanel.add(ui.Label('Area by Change Class (ha)', { fontWeight: 'bold', fontSize: '12px' }));
+
+  statsPanel.add(ui.Chart.feature.byFeature({
+    features: a.classAreas,
+    xProperty: 'class_name',
+    yProperties: ['area_ha']
+  }).setChartType('BarChart').setOptions({
+    legend: { position: 'none' },
+    colors: ['2C7BB6'],
+    hAxis: { title: 'Hectares', textStyle: { fontSize: 9 } },
+    vAxis: { textStyle: { fontSize: 9 } },
+    chartArea: { width: '55%', height: '85%' },
+    height: 220
+  }));
+
+  var loading = ui.Label('Computing transition matrix...', { fontSize: '10px', fontStyle: 'italic' });
+  statsPanel.add(loading);
+
+  ee.Dictionary({
+    classes: a.classAreas.aggregate_array('area_ha'),
+    transitions: a.transitionMatrix.aggregate_array('area_ha')
+  }).evaluate(function (res, error) {
+    if (a !== current) return;
+    statsPanel.remove(loading);
+    if (error) {
+      statsPanel.add(ui.Label('Statistics failed: ' + error, { fontSize: '10px', color: 'CC0000' }));
+      return;
+    }
+
+    var keys = Object.keys(classNames);
+    statsPanel.add(makeTableRow(['Class', 'Area (ha)'], true));
+    keys.forEach(function (key, i) {
+      statsPanel.add(makeTableRow([classNames[key], res.classes[i].toFixed(1)]));
+    });
+
+    statsPanel.add(ui.Label('State Transitions (ha)', { fontWeight: 'bold', fontSize: '12px', margin: '10px 0 2px 8px' }));
+    statsPanel.add(ui.Label('Rows: ' + a.config.startYear + ' state, columns: ' + a.config.endYear + ' state',
+      { fontSize: '9px', color: '666666' }));
+    statsPanel.add(makeTableRow(['From \\ To', 'Dense', 'Trans', 'Sparse', 'Bare'], true));
+    for (var from = 1; from <= 4; from++) {
+      var row = [vegNames[from]];
+      for (var to = 1; to <= 4; to++) {
+        row.push(res.transitions[(from - 1) * 4 + (to - 1)].toFixed(1));
+      }
+      statsPanel.add(makeTableRow(row));
+    }
+  });
+}
+
+// 9c. SENSOR OVERLAP DIAGNOSTIC
+// Index distributions of each sensor over the ROI in years where two sensors
+// overlap. With harmonization active, the curves of each pair should align.
+// Windows are clamped to the analysis period.
+
+var SENSOR_OVERLAPS = [
+  { a: 'LANDSAT_5', b: 'LANDSAT_7', start: 2000, end: 2011, colors: ['FDAE61', 'D7191C'] },
+  { a: 'LANDSAT_7', b: 'LANDSAT_8', start: 2013, end: 2020, colors: ['74C476', '2C7BB6'] },
+  { a: 'LANDSAT_8', b: 'SENTINEL_2', start: 2017, end: 2024, sentinel2: true, colors: ['542788', 'E66101'] }
+];
+
+var diagnosticsPanel = ui.Panel({ style: { margin: '6px 0 0 0' } });
+
+function showSensorDiagnostic(a) {
+  diagnosticsPanel.clear();
+  var cfg = a.config;
+  var index = INDICES[cfg.index];
+  var bands = [];
+  var colors = [];
+  SENSOR_OVERLAPS.filter(function (o) { return !o.sentinel2 || cfg.sentinel2; }).forEach(function (o) {
+    var pair = o.a.replace('LANDSAT_', 'L') + '/' + o.b.replace('LANDSAT_', 'L').replace('SENTINEL_', 'S');
+    var start = Math.max(o.start, cfg.startYear);
+    var end = Math.min(o.end, cfg.endYear);
+    if (start > end) {
+      diagnosticsPanel.add(ui.Label(pair + ': overlap ' + o.start + '-' + o.end + ' is outside the analysis period, skipped',
+        { fontSize: '9px', color: '888888', margin: '0 8px' }));
+      return;
+    }
+    [o.a, o.b].forEach(function (sensor) {
+      var name = sensor.replace('LANDSAT_', 'L').replace('SENTINEL_', 'S') + '_' + start + '_' + end;
+      var composite = a.fullCollection
+        .filter(ee.Filter.eq('SPACECRAFT_ID', sensor))
+        .filterDate(start + '-01-01', end + '-12-31')
+        .median();
+      bands.push(computeIndex(composite, cfg.index).rename(name));
+    });
+    colors = colors.concat(o.colors);
+  });
+  if (bands.length === 0) return;
+
+  diagnosticsPanel.add(ui.Chart.image.histogram({
+    image: ee.Image.cat(bands),
+    region: a.region,
+    scale: 90,
+    minBucketWidth: 0.01,
+    maxPixels: 1e8
+  }).setOptions({
+    title: index.label + ' by Sensor in Overlap Years (' + HARMONIZATION_MODES[cfg.harmonization].label + ')',
+    titleTextStyle: { fontSize: 11, bold: true },
+    hAxis: { title: index.label, viewWindow: { min: index.range[0], max: index.range[1] }, textStyle: { fontSize: 9 } },
+    vAxis: { title: 'Pixels', textStyle: { fontSize: 9 } },
+    colors: colors,
+    legend: { position: 'bottom', textStyle: { fontSize: 9 } },
+    height: 220
+  }));
+}
+
+// 9d. SENSITIVITY SWEEP PANEL
+
+// Filled on request from the control panel (one area reduction per offset)
+var sweepPanel = ui.Panel({ style: { margin: '6px 0 0 0' } });
+
+function showSweep(a) {
+  sweepPanel.clear();
+  var names = Object.keys(classNames).map(function (key) { return classNames[key]; });
+  sweepPanel.add(ui.Chart.feature.byFeature({
+    features: a.sweepAreas,
+    xProperty: 'offset',
+    yProperties: names
+  }).setChartType('LineChart').setOptions({
+    title: 'Area per Class vs Threshold Offset',
+    titleTextStyle: { fontSize: 11, bold: true },
+    hAxis: { title: 'Offset added to all ' + INDICES[a.config.index].label + ' thresholds', textStyle: { fontSize: 9 } },
+    vAxis: { title: 'Hectares', textStyle: { fontSize: 9 } },
+    colors: changeViz.palette,
+    pointSize: 4,
+    legend: { position: 'bottom', textStyle: { fontSize: 8 } },
+    height: 260
+  }));
+  sweepPanel.add(ui.Label(
+    'Default slope thresholds. The Classification Stability layer also varies slopes ×' +
+      a.config.sweepSlopeFactors.join(', ×') + '.',
+    { fontSize: '9px', color: '888888' }
+  ));
+}
+
+// 9e. THRESHOLD CALIBRATION PANEL
+
+// Filled after each Apply with calibration on
+var calibrationPanel = ui.Panel({ style: { margin: '4px 0 0 0' } });
+
+var CALIBRATION_COLORS = ['006400', '9ACD32', 'F4A460', 'A0522D'];
+
+// Per-state histograms (share of each reference state's pixels per bin) and
+// the cut-offs derived from them
+function showCalibration(config, hists) {
+  calibrationPanel.clear();
+  if (!hists) {
+    if (config.calibration !== 'off') {
+      calibrationPanel.add(ui.Label('Thresholds: ' + config.thresholdSource, { fontSize: '9px', color: 'CC6600', margin: '0 8px' }));
+    }
+    return;
+  }
+
+  var reference = CALIBRATION_REFERENCES[config.calibration];
+  var range = INDICES[config.index].range;
+  var width = (range[1] - range[0]) / CALIBRATION_BINS;
+  var totals = [1, 2, 3, 4].map(function (state) {
+    return (hists[state] || []).reduce(function (sum, b) { return sum + b[1]; }, 0);
+  });
+
+  var rows = [['Index'].concat([1, 2, 3, 4].map(function (state) { return vegNames[state]; }))];
+  for (var i = 0; i < CALIBRATION_BINS; i++) {
+    var row = [Number((range[0] + (i + 0.5) * width).toFixed(3))];
+    [1, 2, 3, 4].forEach(function (state, j) {
+      var hist = hists[state];
+      row.push(hist && totals[j] > 0 ? hist[i][1] / totals[j] : null);
+    });
+    rows.push(row);
+  }
+
+  calibrationPanel.add(ui.Chart(rows, 'LineChart', {
+    title: INDICES[config.index].label + ' by ' + reference.label + ' state',
+    titleTextStyle: { fontSize: 11, bold: true },
+    hAxis: { title: INDICES[config.index].label, textStyle: { fontSize: 9 } },
+    vAxis: { title: 'Share of pixels', textStyle: { fontSize: 9 } },
+    colors: CALIBRATION_COLORS,
+    lineWidth: 2,
+    pointSize: 0,
+    legend: { position: 'bottom', textStyle: { fontSize: 9 } },
+    height: 200
+  }));
+
+  calibrationPanel.add(makeTableRow(['State', 'Pixels', 'Cut-off'], true));
+  var cutoffs = [config.denseCanopy, config.transitional, config.sparse, null];
+  [1, 2, 3, 4].forEach(function (state, j) {
+    calibrationPanel.add(makeTableRow([vegNames[state], totals[j], cutoffs[j] === null ? '-' : '≥' + cutoffs[j]]));
+  });
+  calibrationPanel.add(ui.Label('Thresholds: ' + config.thresholdSource, { fontSize: '9px', color: '888888', margin: '0 8px' }));
+}
+
+// 9f. ACCURACY ASSESSMENT PANEL
+
+// Filled on request once a labelled sample asset is configured
+var accuracyPanel = ui.Panel({ style: { margin: '6px 0 0 0' } });
+
+function formatAccuracy(value) {
+  return value === null ? '-' : (value * 100).toFixed(0) + '%';
+}
+
+function validationClassName(c) {
+  return c === 0 ? 'No change' : classNames[c];
+}
+
+// Confusion matrix, accuracies and area-adjusted estimates for the labelled
+// sample; also queues both tables as CSV exports
+function showAccuracy(a) {
+  accuracyPanel.clear();
+  if (!a.config.validationLabels) {
+    accuracyPanel.add(ui.Label(
+      'Export the validation sample, label the "' + VALIDATION_LABEL_PROPERTY + '" property with the ' +
+        'reference class (0-13), upload it as an asset and enter its ID above.',
+      { fontSize: '9px', color: '888888' }
+    ));
+    return;
+  }
+
+  var loading = ui.Label('Assessing accuracy...', { fontSize: '10px', fontStyle: 'italic' });
+  accuracyPanel.add(loading);
+
+  getAccuracyInputs(a).evaluate(function (res, error) {
+    if (a !== current) return;
+    accuracyPanel.remove(loading);
+    if (error) {
+      accuracyPanel.add(ui.Label('Accuracy assessment failed: ' + error, { fontSize: '10px', color: 'CC0000' }));
+      return;
+    }
+
+    // Strata must be the classes of this map, else the estimates are invalid
+    var signature = res.signature;
+    var foreign = res.signatures.filter(function (sig) { return sig !== '' && sig !== signature; });
+    if (foreign.length > 0) {
+      accuracyPanel.add(ui.Label(
+        'The sample was drawn from a map with different settings; apply them or draw a new sample.\n' +
+          'Sample: ' + foreign.join('\n') + '\nApplied: ' + signature,
+        { fontSize: '9px', color: 'CC0000', whiteSpace: 'pre-wrap' }
+      ));
+      return;
+    }
+    if (res.signatures.indexOf('') >= 0) {
+      accuracyPanel.add(ui.Label(
+        '⚠️ Some points carry no "' + VALIDATION_MAP_PROPERTY + '" property; make sure the sample was drawn from this map.',
+        { fontSize: '9px', color: 'CC6600', fontWeight: 'bold' }
+      ));
+    }
+
+    var counts = res.matrix;
+    var estimates = olofssonEstimates(counts, res.areas);
+
+    accuracyPanel.add(ui.Label('Confusion Matrix (samples)', { fontWeight: 'bold', fontSize: '12px' }));
+    accuracyPanel.add(ui.Label('Rows: map class, columns: reference class (0 = no change)', { fontSize: '9px', color: '666666' }));
+    accuracyPanel.add(makeTableRow(['Map \\ Ref'].concat(VALIDATION_CLASSES), true, '18px'));
+    counts.forEach(function (row, i) {
+      accuracyPanel.add(makeTableRow([validationClassName(VALIDATION_CLASSES[i])].concat(row), false, '18px'));
+    });
+
+    accuracyPanel.add(ui.Label('Area-Adjusted Estimates (Olofsson et al., 2014)', { fontWeight: 'bold', fontSize: '12px', margin: '10px 0 2px 8px' }));
+    accuracyPanel.add(ui.Label('Overall accuracy: ' + formatAccuracy(estimates.overallAccuracy), { fontSize: '10px' }));
+    accuracyPanel.add(makeTableRow(['Class', 'Map ha', 'Adj. ha', '±95%', 'UA', 'PA'], true, '32px'));
+    estimates.classes.forEach(function (e, i) {
+      accuracyPanel.add(makeTableRow([
+        validationClassName(VALIDATION_CLASSES[i]),
+        e.mappedArea.toFixed(0), e.adjustedArea.toFixed(0), e.ci95.toFixed(0),
+        formatAccuracy(e.userAccuracy), formatAccuracy(e.producerAccuracy)
+      ], false, '32px'));
+    });
+
+    queueAccuracyExports(a, counts, estimates);
+  });
+}
+
+// 9g. BATCH SITES PANEL
+
+var batchPanel = ui.Panel({ style: { margin: '6px 0 0 0' } });
+
+// Looks up the site IDs (and centroids, for the UTM export CRS), then queues
+// the summary table (and optional images)
+function runBatch(config) {
+  batchPanel.clear();
+  if (!config.batchSites) {
+    batchPanel.add(ui.Label('Enter the asset ID of a site FeatureCollection.', { fontSize: '9px', color: '888888' }));
+    return;
+  }
+
+  var sites = ee.FeatureCollection(config.batchSites);
+  var loading = ui.Label('Reading sites...', { fontSize: '10px', fontStyle: 'italic' });
+  batchPanel.add(loading);
+
+  // aggregate_array skips features without an ID; drop them so both lists align
+  var keyed = sites.filter(ee.Filter.notNull([config.batchIdProperty]));
+  var siteInfo = ee.Dictionary({
+    ids: keyed.aggregate_array(config.batchIdProperty),
+    centroids: keyed.map(function (f) {
+      return f.set('centroid', f.geometry().centroid(1000).coordinates());
+    }).aggregate_array('centroid')
+  });
+
+  siteInfo.evaluate(function (info, error) {
+    batchPanel.remove(loading);
+    if (error) {
+      batchPanel.add(ui.Label('Batch failed: ' + error, { fontSize: '10px', color: 'CC0000' }));
+      return;
+    }
+    var ids = info.ids;
+    if (ids.length === 0 || ids.length > BATCH_MAX_SITES) {
+      batchPanel.add(ui.Label('Batch needs 1-' + BATCH_MAX_SITES + ' sites with "' + config.batchIdProperty +
+        '" (found ' + ids.length + ').', { fontSize: '10px', color: 'CC0000' }));
+      return;
+    }
+    var unique = ids.filter(function (id, i) { return ids.indexOf(id) === i; });
+    if (unique.length < ids.length) {
+      batchPanel.add(ui.Label('⚠️ Duplicate site IDs: only the first feature of each is used.',
+        { fontSize: '9px', color: 'CC6600' }));
+    }
+
+    var results = unique.map(function (id) {
+      var site = ee.Feature(sites.filter(ee.Filter.eq(config.batchIdProperty, id)).first());
+      return summarizeSite(config, site, id);
+    });
+    var centroids = unique.map(function (id) { return info.centroids[ids.indexOf(id)]; });
+    queueBatchExports(config, unique, centroids, results);
+    batchPanel.add(ui.Label('Queued summary table for ' + unique.length + ' sites' +
+      (config.batchImageExports ? ' and ' + unique.length + ' image exports' : '') + ' (see Tasks).',
+      { fontSize: '10px', color: '228B22' }));
+  });
+}
+
+// 9h. REGION OF INTEREST PANEL
+
+var ROI_MAX_INTERACTIVE_HA = 1e6;  // Larger areas time out in the Code Editor
+
+var GAUL_COUNTRIES = ee.FeatureCollection('FAO/GAUL/2015/level0');
+var GAUL_PROVINCES = ee.FeatureCollection('FAO/GAUL/2015/level1');
+
+var roiStatus = ui.Label('ROI: ' + roiLabel, { fontSize: '9px', color: '666666', margin: '2px 8px', whiteSpace: 'pre' });
+
+function setRoiStatus(text, color) {
+  roiStatus.style().set('color', color || '666666');
+  roiStatus.setValue(text);
+}
+
+// Replaces the ROI and rebuilds collections, layers and exports for it
+function setRoi(geometry, label) {
+  roi = geometry;
+  Map.centerObject(roi);
+  setRoiStatus('ROI: ' + label);
+  roi.area(1).evaluate(function (area, error) {
+    if (roi !== geometry || error) return;
+    var ha = area / SQ_METERS_PER_HECTARE;
+    if (ha > ROI_MAX_INTERACTIVE_HA) {
+      setRoiStatus('ROI: ' + label + ' (' + Math.round(ha).toLocaleString() + ' ha)\n' +
+        '⚠️ Too large for interactive use; prefer exports or batch mode.', 'CC6600');
+    } else {
+      setRoiStatus('ROI: ' + label + ' (' + Math.round(ha).toLocaleString() + ' ha)');
+    }
+  });
+  applyControls();
+}
+
+// Drawing: a dedicated layer so geometries imported in the Code Editor are untouched
+var drawingTools = Map.drawingTools();
+drawingTools.setShown(false);
+drawingTools.setLinked(false);
+var roiDrawLayer = ui.Map.GeometryLayer({ geometries: [], name: 'ROI (drawn)', color: 'FF0000' });
+drawingTools.layers().add(roiDrawLayer);
+
+var drawShape = null;
+
+function startDrawing(shape) {
+  drawShape = shape;
+  roiDrawLayer.geometries().reset();
+  drawingTools.setSelected(roiDrawLayer);
+  drawingTools.setShape(shape);
+  drawingTools.draw();
+}
+
+drawingTools.onDraw(ui.util.debounce(function (geometry, layer) {
+  if (layer !== roiDrawLayer) return;
+  drawingTools.setShape(null);
+  setRoi(roiDrawLayer.getEeObject(), 'drawn ' + drawShape);
+}, 500));
+
+var roiCountry = ui.Textbox({ placeholder: 'Country (e.g. Brazil)', style: { stretch: 'horizontal' } });
+var roiProvince = ui.Textbox({ placeholder: 'Province (optional)', style: { stretch: 'horizontal' } });
+
+// GAUL 2015 names, e.g. 'Brazil' / 'Rondonia'
+function useBoundary() {
+  var country = roiCountry.getValue();
+  var province = roiProvince.getValue();
+  if (!country) return setRoiStatus('Enter a country name.', 'CC0000');
+  var matches = province ?
+    GAUL_PROVINCES.filter(ee.Filter.eq('ADM0_NAME', country)).filter(ee.Filter.eq('ADM1_NAME', province)) :
+    GAUL_COUNTRIES.filter(ee.Filter.eq('ADM0_NAME', country));
+  var label = province ? province + ', ' + country : country;
+  setRoiStatus('Looking up ' + label + '...');
+  matches.size().evaluate(function (count, error) {
+    if (error || !count) return setRoiStatus('No GAUL boundary named ' + label + '.', 'CC0000');
+    setRoi(matches.geometry(), label);
+  });
+}
+
+var roiGeoJson = ui.Textbox({ placeholder: 'Paste GeoJSON geometry/feature', style: { stretch: 'horizontal' } });
+
+var GEOJSON_GEOMETRY_TYPES = ['Point', 'MultiPoint', 'LineString', 'MultiLineString', 'Polygon', 'MultiPolygon', 'GeometryCollection'];
+
+// Accepts a Geometry, Feature or FeatureCollection
+function useGeoJson() {
+  var parsed;
+  try {
+    parsed = JSON.parse(roiGeoJson.getValue());
+  } catch (e) {
+    return setRoiStatus('Invalid JSON: ' + e.message, 'CC0000');
+  }
+  if (!parsed || !parsed.type) return setRoiStatus('GeoJSON needs a "type".', 'CC0000');
+  var shape = parsed.type === 'Feature' ? parsed.geometry : parsed;
+  if (parsed.type !== 'FeatureCollection' &&
+      !(shape && GEOJSON_GEOMETRY_TYPES.indexOf(shape.type) >= 0 && (shape.coordinates || shape.geometries))) {
+    return setRoiStatus('GeoJSON needs a geometry with coordinates (' + GEOJSON_GEOMETRY_TYPES.join(', ') + ').', 'CC0000');
+  }
+  // ee.Geometry still throws on malformed coordinates
+  var geometry;
+  try {
+    geometry = parsed.type === 'FeatureCollection' ? ee.FeatureCollection(parsed).geometry() : ee.Geometry(shape);
+  } catch (e) {
+    return setRoiStatus('Invalid GeoJSON: ' + e.message, 'CC0000');
+  }
+  setRoi(geometry, 'GeoJSON ' + parsed.type);
+}
+
+var roiLat = ui.Textbox({ placeholder: 'Lat', style: { width: '60px' } });
+var roiLon = ui.Textbox({ placeholder: 'Lon', style: { width: '60px' } });
+var roiBuffer = ui.Textbox({ placeholder: 'km', value: '5', style: { width: '40px' } });
+
+function usePoint() {
+  var lat = Number(roiLat.getValue());
+  var lon = Number(roiLon.getValue());
+  var km = Number(roiBuffer.getValue());
+  if (!roiLat.getValue() || !roiLon.getValue() || isNaN(lat) || isNaN(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+    return setRoiStatus('Enter a latitude (-90-90) and longitude (-180-180).', 'CC0000');
+  }
+  if (isNaN(km) || km <= 0) return setRoiStatus('Buffer must be a positive number of km.', 'CC0000');
+  setRoi(ee.Geometry.Point([lon, lat]).buffer(km * 1000), lat + ', ' + lon + ' ± ' + km + ' km');
+}
+
+function makeRoiButton(label, onClick) {
+  return ui.Button({ label: label, onClick: onClick, style: { margin: '2px 4px' } });
+}
+
+var roiPanel = ui.Panel([
+  ui.Panel([
+    makeRoiButton('Draw polygon', function () { startDrawing('polygon'); }),
+    makeRoiButton('Rectangle', function () { startDrawing('rectangle'); })
+  ], ui.Panel.Layout.Flow('horizontal')),
+  ui.Panel([roiCountry, roiProvince, makeRoiButton('Use', useBoundary)], ui.Panel.Layout.Flow('horizontal')),
+  ui.Panel([roiGeoJson, makeRoiButton('Use', useGeoJson)], ui.Panel.Layout.Flow('horizontal')),
+  ui.Panel([roiLat, roiLon, roiBuffer, makeRoiButton('Use', usePoint)], ui.Panel.Layout.Flow('horizontal')),
+  roiStatus
+]);
+
+// 9i. PATCH STATISTICS PANEL
+
+// Filled on request from the control panel (vectorizes every change patch)
+var patchPanel = ui.Panel({ style: { margin: '6px 0 0 0' } });
+
+function showPatches(a) {
+  patchPanel.clear();
+  var cfg = a.config;
+  patchPanel.add(ui.Label('Change Patches', { fontWeight: 'bold', fontSize: '12px' }));
+  patchPanel.add(ui.Label(cfg.mmuPixels > 1 ?
+    'Minimum mapping unit ' + cfg.mmuPixels + ' px (' + (cfg.mmuPixels * 900 / SQ_METERS_PER_HECTARE).toFixed(2) + ' ha), ' + MMU_MODES[cfg.mmuMode].label.toLowerCase() :
+    'Pixel-level map (no minimum mapping unit)', { fontSize: '9px', color: '666666' }));
+  var loading = ui.Label('Vectorizing patches...', { fontSize: '10px', fontStyle: 'italic' });
+  patchPanel.add(loading);
+
+  ee.Dictionary({
+    patch_count: a.patchStats.aggregate_array('patch_count'),
+    mean_patch_ha: a.patchStats.aggregate_array('mean_patch_ha'),
+    max_patch_ha: a.patchStats.aggregate_array('max_patch_ha'),
+    largest_lon: a.patchStats.aggregate_array('largest_lon'),
+    largest_lat: a.patchStats.aggregate_array('largest_lat')
+  }).evaluate(function (res, error) {
+    if (a !== current) return;
+    patchPanel.remove(loading);
+    if (error) {
+      patchPanel.add(ui.Label('Patch statistics failed: ' + error, { fontSize: '10px', color: 'CC0000' }));
+      return;
+    }
+
+    var keys = Object.keys(classNames);
+    patchPanel.add(makeTableRow(['Class', 'Patches', 'Mean ha', 'Max ha'], true));
+    keys.forEach(function (key, i) {
+      patchPanel.add(makeTableRow([classNames[key], res.patch_count[i], res.mean_patch_ha[i].toFixed(2), res.max_patch_ha[i].toFixed(1)]));
+    });
+
+    // aggregate_array skips nulls, so locations are listed in class order of the non-empty classes
+    patchPanel.add(ui.Label('Largest Patch per Class', { fontWeight: 'bold', fontSize: '11px', margin: '8px 0 2px 8px' }));
+    keys.filter(function (key, i) { return res.patch_count[i] > 0; }).forEach(function (key, j) {
+      var lon = res.largest_lon[j];
+      var lat = res.largest_lat[j];
+      patchPanel.add(ui.Button({
+        label: classNames[key] + ': ' + lat.toFixed(4) + ', ' + lon.toFixed(4),
+        style: { fontSize: '9px', margin: '0 8px', padding: '0' },
+        onClick: function () { (compareActive ? compareMaps.current : Map).setCenter(lon, lat, 15); }
+      }));
+    });
+  });
+}
+
+// 9j. BEFORE/AFTER COMPARISON
+
+// Band combinations of the comparison maps (reflectance composites)
+var COMPOSITE_VIEWS = {
+  true_colour: { label: 'True colour', viz: { bands: ['Red', 'Green', 'Blue'], min: 0, max: 0.15, gamma: 1.3 } },
+  nir_false_colour: { label: 'NIR false colour', viz: { bands: ['NIR', 'Red', 'Green'], min: 0, max: [0.4, 0.15, 0.15] } }
+};
+
+// Baseline (left) and current (right) composites, swiped in a split panel that
+// replaces the main map while comparison mode is on. Layers per map:
+// 0 = composite, 1 = change class overlay, 2 = inspected point.
+var COMPARE_SIDES = {
+  baseline: {
+    position: 'top-left',
+    title: function (cfg) { return 'Baseline ' + cfg.startYear + '-' + (cfg.startYear + 4); },
+    composite: function (a) { return a.startReflectance; }
+  },
+  current: {
+    position: 'top-right',
+    title: function (cfg) { return 'Current ' + (cfg.endYear - 4) + '-' + cfg.endYear; },
+    composite: function (a) { return a.endReflectance; }
+  }
+};
+
+var compareActive = false;
+var compareMaps = {};
+var compareTitles = {};
+var compareViews = {};
+var compareOverlays = {};
+
+Object.keys(COMPARE_SIDES).forEach(function (side) {
+  var map = ui.Map();
+  map.style().set('cursor', 'crosshair');
+  map.onClick(updateInspector);
+  compareTitles[side] = ui.Label({ style: { fontWeight: 'bold', fontSize: '11px', margin: '0 0 4px 0' } });
+  compareViews[side] = ui.Select({
+    items: Object.keys(COMPOSITE_VIEWS).map(function (key) {
+      return { label: COMPOSITE_VIEWS[key].label, value: key };
+    }),
+    value: 'true_colour',
+    onChange: function () { if (compareActive) renderComparison(current); }
+  });
+  compareOverlays[side] = ui.Checkbox({
+    label: 'Change classes', value: side === 'current',
+    style: { fontSize: '11px', margin: '2px 0' },
+    onChange: function (shown) {
+      if (map.layers().length() > 1) map.layers().get(1).setShown(shown);
+    }
+  });
+  map.add(ui.Panel({
+    widgets: [compareTitles[side], compareViews[side], compareOverlays[side]],
+    style: { position: COMPARE_SIDES[side].position, padding: '6px 8px', backgroundColor: 'white' }
+  }));
+  compareMaps[side] = map;
+});
+ui.Map.Linker([compareMaps.baseline, compareMaps.current]);
+
+var compareSplit = ui.SplitPanel({
+  firstPanel: compareMaps.baseline,
+  secondPanel: compareMaps.current,
+  wipe: true,
+  style: { stretch: 'both' }
+});
+
+// Redraws both comparison maps for an analysis; the inspected point is dropped
+function renderComparison(a) {
+  var cfg = a.config;
+  var overlay = a.changeClassMap.updateMask(a.changeClassMap.gt(0));
+  Object.keys(COMPARE_SIDES).forEach(function (side) {
+    var map = compareMaps[side];
+    var view = COMPOSITE_VIEWS[compareViews[side].getValue()];
+    compareTitles[side].setValue(COMPARE_SIDES[side].title(cfg) + ' (' + describeSeason(cfg) + ')');
+    map.layers().reset();
+    map.addLayer(COMPARE_SIDES[side].composite(a), view.viz, COMPARE_SIDES[side].title(cfg) + ' ' + view.label);
+    map.addLayer(overlay, changeViz, 'Vegetation Change', compareOverlays[side].getValue());
+  });
+}
+
+// Marks the inspected point on both comparison maps (no-op outside comparison mode)
+function markComparison(point) {
+  if (!compareActive) return;
+  Object.keys(compareMaps).forEach(function (side) {
+    var layers = compareMaps[side].layers();
+    var marker = ui.Map.Layer(point, { color: 'FFFF00' }, 'Inspected point');
+    if (layers.length() > 2) {
+      layers.set(2, marker);
+    } else {
+      layers.add(marker);
+    }
+  });
+}
+
+// Swaps the main map for the split panel (or back), keeping the view, the
+// legend and the inspector
+function setComparison(active) {
+  if (active === compareActive) return;
+  var from = active ? Map : compareMaps.current;
+  var to = active ? compareMaps.current : Map;
+  var legendMap = active ? compareMaps.baseline : Map;
+  var bounds = from.getBounds();
+  var zoom = from.getZoom();
+
+  (active ? Map : compareMaps.baseline).remove(legend);
+  from.remove(inspectorPanel);
+  legendMap.add(legend);
+  to.add(inspectorPanel);
+  ui.root.remove(active ? Map : compareSplit);
+  ui.root.add(active ? compareSplit : Map);
+
+  compareActive = active;
+  if (active) renderComparison(current);
+  to.setCenter((bounds[0] + bounds[2]) / 2, (bounds[1] + bounds[3]) / 2, zoom);
+}
+
+// 10. EXPORT
+
+var EXPORT_SCALE = 30;
+
+var EXPORT_TARGETS = {
+  drive: { label: 'Google Drive' },
+  asset: { label: 'Earth Engine asset' },
+  gcs: { label: 'Cloud Storage (COG)' }
+};
+
+var EXPORT_CRS_MODES = {
+  utm: { label: 'UTM zone of ROI' },
+  'EPSG:4326': { label: 'WGS84 (EPSG:4326)' },
+  custom: { label: 'Custom' }
+};
+
+// Bands the export builder can bundle into one float image
+var EXPORT_BANDS = {
+  change_class: { label: 'Change class', image: function (a) { return a.changeClass; } },
+  start_class: { label: 'Baseline state', image: function (a) { return a.startClass; } },
+  end_class: { label: 'Current state', image: function (a) { return a.endClass; } },
+  start_index: { label: 'Baseline index', image: function (a) { return a.startNDVI; } },
+  end_index: { label: 'Current index', image: function (a) { return a.endNDVI; } },
+  trend_class: { label: 'Trend class', image: function (a) { return a.trendClass; } },
+  slope: { label: 'Slope', image: function (a) { return a.slope; } },
+  recent_slope: { label: '10-yr slope', image: function (a) { return a.recentSlope; } },
+  p_value: { label: 'p (corrected)', image: function (a) { return a.pValue; } },
+  p_raw: { label: 'p (raw)', image: function (a) { return a.pRaw; } },
+  establishment_epoch: { label: 'Establishment epoch', image: function (a) { return a.establishmentEpoch; } },
+  years_to_canopy: { label: 'Years to canopy', image: function (a) { return a.yearsToCanopy; } },
+  dist_year: { label: 'Disturbance year', image: function (a) { return a.disturbanceYear; } },
+  trajectory: { label: 'Trajectory type', image: function (a) { return a.trajectoryType; } },
+  first_loss_epoch: { label: 'First loss epoch', image: function (a) { return a.firstLossEpoch; } },
+  exclusion_reason: { label: 'Masked reason', image: function (a) { return a.exclusionReason; } }
+};
+
+// Index, season, harmonization mode, Sentinel-2 fusion and terrain correction
+// are part of every task name so runs stay distinguishable
+function exportSuffix(cfg) {
+  return cfg.index + '_' + cfg.startYear + '_' + cfg.endYear + '_' + describeSeason(cfg) + '_' +
+    HARMONIZATION_MODES[cfg.harmonization].tag + (cfg.sentinel2 ? '_S2' : '') +
+    (cfg.topoCorrection !== 'none' ? '_' + TOPO_CORRECTIONS[cfg.topoCorrection].tag : '');
+}
+
+// WGS84 UTM zone of a point, e.g. 'EPSG:32720'
+function utmCrs(lon, lat) {
+  var zone = Math.min(Math.floor((lon + 180) / 6) + 1, 60);
+  return 'EPSG:' + ((lat >= 0 ? 32600 : 32700) + zone);
+}
+
+// Export CRS for a region centroid ([lon, lat]) under config.exportCrs
+function exportCrsFor(cfg, centroid) {
+  if (cfg.exportCrs === 'utm') return utmCrs(centroid[0], centroid[1]);
+  return cfg.exportCrs === 'custom' ? cfg.exportCustomCrs : cfg.exportCrs;
+}
 
-    var currentNDVI = res.current_ndvi || 0;
-    var currentClass = vegNames[res.end_class] || 'Unknown';
-    var ndviColor = currentNDVI >= DENSE_CANOPY ? '006400' : (currentNDVI >= TRANSITIONAL ? '90EE90' : (currentNDVI >= SPARSE ? 'AAAA00' : 'AA6600'));
+// Full run configuration as flat image/table properties
+function runMetadata(cfg, crs) {
+  return {
+    script_version: SCRIPT_VERSION,
+    start_year: cfg.startYear,
+    end_year: cfg.endYear,
+    start_month: cfg.startMonth,
+    end_month: cfg.endMonth,
+    season_source: cfg.seasonSource,
+    index: cfg.index,
+    threshold_dense: cfg.thresholds.dense,
+    threshold_transitional: cfg.thresholds.transitional,
+    threshold_sparse: cfg.thresholds.sparse,
+    threshold_source: cfg.thresholdSource,
+    sensitivity_adjustment: cfg.sensitivityAdjustment,
+    gaining_slope: cfg.gainingSlope,
+    losing_slope: cfg.losingSlope,
+    significance_level: cfg.significanceLevel,
+    significance_test: describeSignificance(cfg),
+    trend_method: cfg.trendMethod,
+    trend_input: describeTrendInput(cfg),
+    harmonization: cfg.harmonization,
+    exclusions: describeExclusions(cfg),
+    mmu_pixels: cfg.mmuPixels,
+    mmu_mode: cfg.mmuMode,
+    sentinel2: cfg.sentinel2 ? 'fused (cloud prob. < ' + cfg.s2CloudProbability + '%)' : 'off',
+    topo_correction: cfg.topoCorrection,
+    terrain_dem: cfg.terrainDem,
+    terrain_shadow_mask: cfg.maskTerrainShadow ? 1 : 0,
+    projection_model: cfg.projectionModel,
+    crs: crs,
+    scale_m: EXPORT_SCALE
+  };
+}
 
-    var currentPanel = ui.Panel({
-      widgets: [
-        ui.Label('NDVI: ' + currentNDVI.toFixed(3), { fontSize: '11px', fontWeight: 'bold' }),
-        ui.Label(currentClass, { fontSize: '11px', backgroundColor: '#' + ndviColor, color: currentNDVI >= TRANSITIONAL ? 'white' : 'black', padding: '2px 6px' })
-      ],
-      layout: ui.Panel.Layout.Flow('horizontal'),
-      style: { margin: '0 0 8px 0' }
-    });
-    inspectorPanel.add(currentPanel);
+// Queues one image to the configured target, stamped with the run metadata.
+// Drive and Cloud Storage GeoTIFFs drop properties; the run metadata table
+// written by queueExports carries the same values alongside them.
+function exportImage(image, name, region, crs, cfg) {
+  var params = {
+    image: image.set(runMetadata(cfg, crs)),
+    description: name,
+    region: region,
+    scale: EXPORT_SCALE,
+    crs: crs,
+    maxPixels: 1e13
+  };
+  if (cfg.exportTarget === 'asset') {
+    params.assetId = cfg.exportDestination + '/' + name;
+    Export.image.toAsset(params);
+  } else if (cfg.exportTarget === 'gcs') {
+    params.bucket = cfg.exportDestination;
+    params.fileNamePrefix = name;
+    params.fileFormat = 'GeoTIFF';
+    params.formatOptions = { cloudOptimized: true };
+    Export.image.toCloudStorage(params);
+  } else {
+    if (cfg.exportDestination) params.folder = cfg.exportDestination;
+    Export.image.toDrive(params);
+  }
+}
 
-    var slopeVal = res.slope || 0;
-    var recentSlopeVal = res.recent_slope || 0;
-    var slopeClass = slopeVal > GAINING_SLOPE ? 'Gaining' : (slopeVal < LOSING_SLOPE ? 'Losing' : 'Stable');
-    var slopeColor = slopeVal > GAINING_SLOPE ? '228B22' : (slopeVal < LOSING_SLOPE ? 'CC0000' : '888888');
-    var recentClass = recentSlopeVal > GAINING_SLOPE ? 'Gaining' : (recentSlopeVal < LOSING_SLOPE ? 'Losing' : 'Stable');
-    var recentColor = recentSlopeVal > GAINING_SLOPE ? '228B22' : (recentSlopeVal < LOSING_SLOPE ? 'CC0000' : '888888');
+// Queues one table to the configured target (CSV unless fileFormat is given)
+function exportTable(collection, name, cfg, selectors, fileFormat) {
+  if (cfg.exportTarget === 'asset') {
+    Export.table.toAsset({ collection: collection, description: name, assetId: cfg.exportDestination + '/' + name });
+    return;
+  }
+  var params = { collection: collection, description: name, fileFormat: fileFormat || 'CSV' };
+  if (selectors) params.selectors = selectors;
+  if (cfg.exportTarget === 'gcs') {
+    params.bucket = cfg.exportDestination;
+    params.fileNamePrefix = name;
+    Export.table.toCloudStorage(params);
+  } else {
+    if (cfg.exportDestination) params.folder = cfg.exportDestination;
+    Export.table.toDrive(params);
+  }
+}
 
-    var trendAccel = '';
-    var trendAccelColor = '888888';
-    var ACCEL_THRESHOLD = 0.002;
-    if (Math.abs(recentSlopeVal - slopeVal) < ACCEL_THRESHOLD) {
-      trendAccel = '→ Consistent';
-      trendAccelColor = '666666';
-    } else if (recentSlopeVal > slopeVal + ACCEL_THRESHOLD) {
-      trendAccel = '↑ Accelerating';
-      trendAccelColor = '228B22';
-    } else {
-      trendAccel = '↓ Decelerating';
-      trendAccelColor = 'CC6600';
+// Export products, each queued as one or more tasks. queue(a, crs, suffix)
+// receives the analysis, the resolved CRS and exportSuffix(a.config).
+var EXPORT_PRODUCTS = {
+  change_classes: {
+    label: 'Change classes',
+    queue: function (a, cfg, crs, suffix) {
+      // Codes 0-13 (0 = no change); the code → name table travels with the image
+      var classLegend = Object.keys(classNames).map(function (key) { return key + '=' + classNames[key]; }).join('; ');
+      exportImage(a.changeClass.byte().set('class_names', classLegend), 'Export_Change_Classes_' + suffix, a.region, crs, cfg);
     }
+  },
+  epochs: {
+    label: 'Epochs and trajectories',
+    queue: function (a, cfg, crs, suffix) {
+      exportImage(a.establishmentEpoch.unmask(0).short(), 'Export_Establishment_Epoch_' + suffix, a.region, crs, cfg);
+      // State per epoch (0 = no data), trajectory type and first loss epoch (0 = none)
+      exportImage(a.stateSequence.unmask(0).addBands(a.trajectoryType.unmask(0)).addBands(a.firstLossEpoch.unmask(0)).short(),
+        'Export_State_Sequence_' + suffix, a.region, crs, cfg);
+    }
+  },
+  trend: {
+    label: 'Trend slope, class and p',
+    queue: function (a, cfg, crs, suffix) {
+      var significanceTag = describeSignificance(cfg).replace(', ', '_');
+      exportImage(a.slope.float(), 'Export_Trend_Slope_' + TREND_METHODS[cfg.trendMethod].tag + '_' + suffix, a.region, crs, cfg);
+      exportImage(a.trendClass.byte(), 'Export_Statistical_Trend_Class_' + significanceTag + '_' + suffix, a.region, crs, cfg);
+      exportImage(a.pRaw.addBands(a.pValue).float(), 'Export_Trend_PValues_' + significanceTag + '_' + suffix, a.region, crs, cfg);
+    }
+  },
+  disturbance: {
+    label: 'Disturbance',
+    queue: function (a, cfg, crs, suffix) {
+      exportImage(ee.Image.cat([a.disturbanceYear, a.disturbanceMagnitude, a.recoveryDuration]).float(),
+        'Export_Disturbance_' + suffix, a.region, crs, cfg);
+    }
+  },
+  projection: {
+    label: 'Canopy projection',
+    queue: function (a, cfg, crs, suffix) {
+      exportImage(a.yearsToCanopy.addBands(a.logisticProjection).float(),
+        'Export_Canopy_Projection_' + PROJECTION_MODELS[cfg.projectionModel].tag + '_' + suffix, a.region, crs, cfg);
+    }
+  },
+  observation_counts: {
+    label: 'Observation counts',
+    queue: function (a, cfg, crs, suffix) {
+      exportImage(a.observationCounts.addBands(a.dataFlags).toInt16(), 'Export_Observation_Counts_' + suffix, a.region, crs, cfg);
+    }
+  },
+  stability: {
+    label: 'Stability',
+    queue: function (a, cfg, crs, suffix) {
+      // 255 = no alternative (all variants agree) or no default class
+      exportImage(a.stability.unmask(255).byte(), 'Export_Classification_Stability_' + suffix, a.region, crs, cfg);
+    }
+  },
+  bundle: {
+    label: 'Band bundle',
+    queue: function (a, cfg, crs, suffix) {
+      if (cfg.exportBands.length === 0) return;
+      var bundle = ee.Image.cat(cfg.exportBands.map(function (key) {
+        return EXPORT_BANDS[key].image(a).rename(key).float();
+      }));
+      exportImage(bundle, 'Export_Bundle_' + suffix, a.region, crs, cfg);
+    }
+  },
+  area_tables: {
+    label: 'Area tables',
+    queue: function (a, cfg, crs, suffix) {
+      exportTable(a.classAreas, 'Export_Class_Areas_' + suffix, cfg, ['change_class', 'class_name', 'area_ha']);
+      exportTable(a.transitionMatrix, 'Export_Transition_Matrix_' + suffix, cfg,
+        ['from_class', 'from_name', 'to_class', 'to_name', 'area_ha']);
+    }
+  },
+  validation_sample: {
+    label: 'Validation sample',
+    queue: function (a, cfg, crs, suffix) {
+      exportTable(a.validationSample, 'Export_Validation_Sample_' + suffix, cfg, null, 'GeoJSON');
+    }
+  },
+  patches: {
+    label: 'Patches',
+    queue: function (a, cfg, crs, suffix) {
+      exportTable(a.patches, 'Export_Change_Patches_' + suffix, cfg, null, 'GeoJSON');
+      exportTable(a.patchStats, 'Export_Patch_Statistics_' + suffix, cfg, ['change_class', 'class_name', 'patch_count',
+        'mean_patch_ha', 'max_patch_ha', 'largest_lon', 'largest_lat']);
+    }
+  },
+  sweep: {
+    label: 'Sweep areas',
+    queue: function (a, cfg, crs, suffix) {
+      exportTable(a.sweepAreas, 'Export_Sweep_Class_Areas_' + suffix, cfg,
+        ['offset'].concat(Object.keys(classNames).map(function (key) { return classNames[key]; })));
+    }
+  }
+};
 
-    inspectorPanel.add(ui.Label('Trend Analysis', { fontWeight: 'bold', fontSize: '11px', margin: '0 0 4px 0' }));
+// Queues the products ticked in exportProducts for an analysis, plus the run
+// metadata table. Called from the Queue Exports button only, so runs do not
+// pile up tasks. config (default a.config) may carry newer export settings
+// than the applied run. A UTM CRS needs the ROI centroid first.
+// done (optional) receives the number of products queued.
+function queueExports(a, config, done) {
+  var cfg = config || a.config;
+  if (cfg.exportProducts.length === 0) {
+    if (done) done(0);
+    return;
+  }
+  a.region.centroid(1000).coordinates().evaluate(function (centroid, error) {
+    if (a !== current) return;
+    var crs = error ? 'EPSG:4326' : exportCrsFor(cfg, centroid);
+    var suffix = exportSuffix(cfg);
+    cfg.exportProducts.forEach(function (key) { EXPORT_PRODUCTS[key].queue(a, cfg, crs, suffix); });
+    exportTable(ee.FeatureCollection([ee.Feature(null, runMetadata(cfg, crs))]), 'Export_Run_Metadata_' + suffix, cfg);
+    if (done) done(cfg.exportProducts.length);
+  });
+}
 
-    var duration = endYear - startYear;
-    var trend40Panel = ui.Panel({
-      widgets: [
-        ui.Label(duration + 'yr:', { fontSize: '10px', color: '666666' }),
-        ui.Label((slopeVal * 1000).toFixed(2) + '×10⁻³/yr', { fontSize: '10px' }),
-        ui.Label(slopeClass, { fontSize: '10px', color: slopeColor, fontWeight: 'bold' })
-      ],
-      layout: ui.Panel.Layout.Flow('horizontal'),
-      style: { margin: '0 0 2px 0' }
+var TASK_SITE_ID_LENGTH = 40;  // Keeps site task names under the 100-character limit
+
+// Site id as part of a task name: only letters, digits, '-' and '_' are
+// allowed and long ids are cut, so the site position n is always appended to
+// keep ids that differ only in dropped characters ('site 1', 'site/1') apart
+function taskSiteId(id, n) {
+  var clean = String(id).replace(/[^A-Za-z0-9_-]/g, '_');
+  return clean.slice(0, TASK_SITE_ID_LENGTH) + '_' + n;
+}
+
+// One summary table for all batch sites, plus optional per-site images
+// (centroids: [lon, lat] per site, for the UTM zone)
+function queueBatchExports(config, ids, centroids, results) {
+  var suffix = exportSuffix(config);
+  var areaColumns = Object.keys(classNames).map(function (key) { return 'area_ha_' + key; });
+
+  exportTable(ee.FeatureCollection(results.map(function (r) { return r.summary; })),
+    'Export_Batch_Summary_' + suffix, config,
+    ['site_id', 'site_area_ha', 'mean_slope', 'significant_share'].concat(areaColumns));
+
+  if (!config.batchImageExports) return;
+  results.forEach(function (r, i) {
+    exportImage(ee.Image.cat([r.analysis.changeClass, r.analysis.trendClass.rename('trend_class'), r.analysis.slope]).float(),
+      'Export_Site_' + taskSiteId(ids[i], i + 1) + '_' + suffix,
+      r.analysis.region, exportCrsFor(config, centroids[i]), config);
+  });
+}
+
+// Client-side results of showAccuracy as CSV tables
+function queueAccuracyExports(a, counts, estimates) {
+  var suffix = exportSuffix(a.config);
+  var refColumns = VALIDATION_CLASSES.map(function (c) { return 'ref_' + c; });
+
+  exportTable(ee.FeatureCollection(counts.map(function (row, i) {
+    var props = { map_class: VALIDATION_CLASSES[i], class_name: validationClassName(VALIDATION_CLASSES[i]) };
+    row.forEach(function (n, j) { props[refColumns[j]] = n; });
+    return ee.Feature(null, props);
+  })), 'Export_Confusion_Matrix_' + suffix, a.config, ['map_class', 'class_name'].concat(refColumns));
+
+  exportTable(ee.FeatureCollection(estimates.classes.map(function (e, i) {
+    return ee.Feature(null, {
+      change_class: VALIDATION_CLASSES[i],
+      class_name: validationClassName(VALIDATION_CLASSES[i]),
+      mapped_ha: e.mappedArea,
+      adjusted_ha: e.adjustedArea,
+      ci95_ha: e.ci95,
+      users_accuracy: e.userAccuracy,
+      producers_accuracy: e.producerAccuracy,
+      overall_accuracy: estimates.overallAccuracy
     });
-    inspectorPanel.add(trend40Panel);
+  })), 'Export_Area_Estimates_' + suffix, a.config, ['change_class', 'class_name', 'mapped_ha', 'adjusted_ha', 'ci95_ha',
+    'users_accuracy', 'producers_accuracy', 'overall_accuracy']);
+}
 
-    var pVal = res.p_value || 1.0;
-    var sigLabel = pVal < 0.05 ? 'Significant (p<0.05)' : 'Not Significant (p≥0.05)';
-    var sigColor = pVal < 0.05 ? '228B22' : '888888';
+// 11. CONTROL PANEL
 
-    inspectorPanel.add(ui.Label(sigLabel, { fontSize: '9px', color: sigColor, margin: '0 0 4px 0', fontStyle: 'italic' }));
+var MONTH_ITEMS = MONTH_NAMES.map(function (name, i) { return { label: name, value: i + 1 }; });
 
-    var trend10Panel = ui.Panel({
-      widgets: [
-        ui.Label('10yr:', { fontSize: '10px', color: '666666' }),
-        ui.Label((recentSlopeVal * 1000).toFixed(2) + '×10⁻³/yr', { fontSize: '10px' }),
-        ui.Label(recentClass, { fontSize: '10px', color: recentColor, fontWeight: 'bold' })
-      ],
-      layout: ui.Panel.Layout.Flow('horizontal'),
-      style: { margin: '0 0 2px 0' }
+// Landsat 5 SR starts in 1984; the last selectable year is the current one
+var YEAR_ITEMS = [];
+for (var yr = 1984; yr <= new Date().getFullYear(); yr++) {
+  YEAR_ITEMS.push({ label: String(yr), value: yr });
+}
+
+var SIGNIFICANCE_ITEMS = [
+  { label: 'p < 0.01 (99%)', value: 0.01 },
+  { label: 'p < 0.05 (95%)', value: 0.05 },
+  { label: 'p < 0.10 (90%)', value: 0.10 }
+];
+
+var controlPanel = ui.Panel({ style: { width: '300px', padding: '8px' } });
+ui.root.insert(0, controlPanel);
+
+// Widgets keyed by the DEFAULTS setting they control
+var controls = {
+  maskDilatedCloud: ui.Checkbox({ label: 'Dilated cloud' }),
+  maskCirrus: ui.Checkbox({ label: 'Cirrus' }),
+  maskSnow: ui.Checkbox({ label: 'Snow / ice' }),
+  maskWater: ui.Checkbox({ label: 'Water' }),
+  maskSaturation: ui.Checkbox({ label: 'Saturated (QA_RADSAT)' }),
+  maskInvalidRange: ui.Checkbox({ label: 'Reflectance outside 0-1' }),
+  excludeSlcOff: ui.Checkbox({ label: 'Exclude Landsat 7 SLC-off' }),
+  sentinel2: ui.Checkbox({ label: 'Fuse Sentinel-2 SR (2017+)' }),
+  maskTerrainShadow: ui.Checkbox({ label: 'Mask terrain shadow' }),
+  excludeWater: ui.Checkbox({ label: 'Water (JRC occurrence)' }),
+  waterOccurrence: ui.Slider({ min: 5, max: 100, step: 5, style: { stretch: 'horizontal' } }),
+  excludeBuiltUp: ui.Checkbox({ label: 'Built-up (WorldCover)' }),
+  excludeCropland: ui.Checkbox({ label: 'Cropland (WorldCover)' }),
+  exclusionAsset: ui.Textbox({ placeholder: 'users/.../exclusion_polygons', style: { stretch: 'horizontal' } }),
+  s2CloudProbability: ui.Slider({ min: 10, max: 90, step: 5, style: { stretch: 'horizontal' } }),
+  index: ui.Select({ items: Object.keys(INDICES) }),
+  startYear: ui.Select({ items: YEAR_ITEMS }),
+  endYear: ui.Select({ items: YEAR_ITEMS }),
+  startMonth: ui.Select({ items: MONTH_ITEMS }),
+  endMonth: ui.Select({ items: MONTH_ITEMS }),
+  autoSeason: ui.Select({
+    items: Object.keys(AUTO_SEASON_MODES).map(function (key) {
+      return { label: AUTO_SEASON_MODES[key].label, value: key };
+    })
+  }),
+  denseCanopy: ui.Slider({ min: -0.5, max: 1, step: 0.01, style: { stretch: 'horizontal' } }),
+  transitional: ui.Slider({ min: -0.5, max: 1, step: 0.01, style: { stretch: 'horizontal' } }),
+  sparse: ui.Slider({ min: -0.5, max: 1, step: 0.01, style: { stretch: 'horizontal' } }),
+  calibration: ui.Select({
+    items: Object.keys(CALIBRATION_REFERENCES).map(function (key) {
+      return { label: CALIBRATION_REFERENCES[key].label, value: key };
+    })
+  }),
+  calibrationRule: ui.Select({
+    items: Object.keys(CALIBRATION_RULES).map(function (key) {
+      return { label: CALIBRATION_RULES[key].label, value: key };
+    })
+  }),
+  sensitivityAdjustment: ui.Slider({ min: -0.15, max: 0.15, step: 0.01, style: { stretch: 'horizontal' } }),
+  gainingSlope: ui.Slider({ min: 0.001, max: 0.02, step: 0.001, style: { stretch: 'horizontal' } }),
+  losingSlope: ui.Slider({ min: -0.02, max: -0.001, step: 0.001, style: { stretch: 'horizontal' } }),
+  significanceLevel: ui.Select({ items: SIGNIFICANCE_ITEMS }),
+  harmonization: ui.Select({
+    items: Object.keys(HARMONIZATION_MODES).map(function (key) {
+      return { label: HARMONIZATION_MODES[key].label, value: key };
+    })
+  }),
+  topoCorrection: ui.Select({
+    items: Object.keys(TOPO_CORRECTIONS).map(function (key) {
+      return { label: TOPO_CORRECTIONS[key].label, value: key };
+    })
+  }),
+  terrainDem: ui.Select({
+    items: Object.keys(TERRAIN_DEMS).map(function (key) {
+      return { label: TERRAIN_DEMS[key].label, value: key };
+    })
+  }),
+  projectionModel: ui.Select({
+    items: Object.keys(PROJECTION_MODELS).map(function (key) {
+      return { label: PROJECTION_MODELS[key].label, value: key };
+    })
+  }),
+  mmuPixels: ui.Slider({ min: 0, max: MMU_MAX_PIXELS, step: 1, style: { stretch: 'horizontal' } }),
+  mmuMode: ui.Select({
+    items: Object.keys(MMU_MODES).map(function (key) {
+      return { label: MMU_MODES[key].label, value: key };
+    })
+  }),
+  disturbanceMinMagnitude: ui.Slider({ min: 0.05, max: 0.5, step: 0.01, style: { stretch: 'horizontal' } }),
+  trendMethod: ui.Select({
+    items: Object.keys(TREND_METHODS).map(function (key) {
+      return { label: TREND_METHODS[key].label, value: key };
+    })
+  }),
+  mkVariant: ui.Select({
+    items: Object.keys(MK_VARIANTS).map(function (key) {
+      return { label: MK_VARIANTS[key].label, value: key };
+    })
+  }),
+  multipleTesting: ui.Select({
+    items: Object.keys(MULTIPLE_TESTING).map(function (key) {
+      return { label: MULTIPLE_TESTING[key].label, value: key };
+    })
+  }),
+  trendInput: ui.Select({
+    items: Object.keys(TREND_INPUTS).map(function (key) {
+      return { label: TREND_INPUTS[key].label, value: key };
+    })
+  }),
+  annualPercentile: ui.Slider({ min: 10, max: 90, step: 5, style: { stretch: 'horizontal' } }),
+  minObservations: ui.Slider({ min: 1, max: 20, step: 1, style: { stretch: 'horizontal' } }),
+  minTrendObservations: ui.Slider({ min: 3, max: 100, step: 1, style: { stretch: 'horizontal' } }),
+  validationSampleSize: ui.Slider({ min: 10, max: 200, step: 10, style: { stretch: 'horizontal' } }),
+  validationNoChangeSize: ui.Slider({ min: 10, max: 500, step: 10, style: { stretch: 'horizontal' } }),
+  batchSites: ui.Textbox({ placeholder: 'users/.../sites', style: { stretch: 'horizontal' } }),
+  batchIdProperty: ui.Textbox({ style: { stretch: 'horizontal' } }),
+  batchImageExports: ui.Checkbox({ label: 'Per-site image exports' }),
+  validationLabels: ui.Textbox({ placeholder: 'users/.../labelled_sample', style: { stretch: 'horizontal' } }),
+  insufficientData: ui.Select({
+    items: [{ label: 'Flag only', value: 'flag' }, { label: 'Mask classes', value: 'mask' }]
+  }),
+  exportCrs: ui.Select({
+    items: Object.keys(EXPORT_CRS_MODES).map(function (key) {
+      return { label: EXPORT_CRS_MODES[key].label, value: key };
+    })
+  }),
+  exportCustomCrs: ui.Textbox({ placeholder: 'EPSG:3035', style: { stretch: 'horizontal' } }),
+  exportTarget: ui.Select({
+    items: Object.keys(EXPORT_TARGETS).map(function (key) {
+      return { label: EXPORT_TARGETS[key].label, value: key };
+    })
+  }),
+  exportDestination: ui.Textbox({ placeholder: 'folder, asset folder or bucket', style: { stretch: 'horizontal' } })
+};
+
+// One checkbox per bundle band, read and set as a single list-valued control
+var exportBandBoxes = {};
+Object.keys(EXPORT_BANDS).forEach(function (key) {
+  exportBandBoxes[key] = ui.Checkbox({ label: EXPORT_BANDS[key].label, style: { fontSize: '10px', margin: '1px 8px' } });
+});
+controls.exportBands = {
+  getValue: function () {
+    return Object.keys(exportBandBoxes).filter(function (key) { return exportBandBoxes[key].getValue(); });
+  },
+  setValue: function (keys, trigger) {
+    Object.keys(exportBandBoxes).forEach(function (key) {
+      exportBandBoxes[key].setValue(keys.indexOf(key) >= 0, trigger);
     });
-    inspectorPanel.add(trend10Panel);
+  }
+};
 
-    inspectorPanel.add(ui.Label(trendAccel, {
-      fontSize: '10px', color: trendAccelColor, fontStyle: 'italic', margin: '0 0 8px 0'
-    }));
+// Same for the products queued by Queue Exports
+var exportProductBoxes = {};
+Object.keys(EXPORT_PRODUCTS).forEach(function (key) {
+  exportProductBoxes[key] = ui.Checkbox({ label: EXPORT_PRODUCTS[key].label, style: { fontSize: '10px', margin: '1px 8px' } });
+});
+controls.exportProducts = {
+  getValue: function () {
+    return Object.keys(exportProductBoxes).filter(function (key) { return exportProductBoxes[key].getValue(); });
+  },
+  setValue: function (keys, trigger) {
+    Object.keys(exportProductBoxes).forEach(function (key) {
+      exportProductBoxes[key].setValue(keys.indexOf(key) >= 0, trigger);
+    });
+  }
+};
 
-    inspectorPanel.add(ui.Label('State Transition', { fontWeight: 'bold', fontSize: '11px', margin: '0 0 4px 0' }));
-    inspectorPanel.add(ui.Label(
-      startYear + ': ' + (vegNames[res.start_class] || '?') + '  →  ' + endYear + ': ' + (vegNames[res.end_class] || '?'),
-      { fontSize: '11px', margin: '0 0 8px 0' }
-    ));
+function makeSectionLabel(text) {
+  return ui.Label(text, { fontWeight: 'bold', fontSize: '12px', margin: '10px 0 2px 8px' });
+}
 
-    inspectorPanel.add(ui.Label('Classification Result', { fontWeight: 'bold', fontSize: '11px', margin: '0 0 4px 0' }));
-    if (res.change_class && res.change_class > 0) {
-      var changeColors = ['D7191C', 'FDAE61', 'A6D96A', '008837', '00441B', '2C7BB6', 'D9F0D3', '74C476'];
-      var changeColor = changeColors[res.change_class - 1] || 'CCCCCC';
-      var lightTextClasses = [3, 7];
-      var changePanel = ui.Panel({
-        style: { backgroundColor: '#' + changeColor, padding: '6px 10px', margin: '0 0 4px 0' }
-      });
-      changePanel.add(ui.Label(classNames[res.change_class] || 'Unknown', {
-        fontWeight: 'bold', fontSize: '12px',
-        color: lightTextClasses.indexOf(res.change_class) >= 0 ? '000000' : 'FFFFFF',
-        backgroundColor: '#' + changeColor
-      }));
-      inspectorPanel.add(changePanel);
-    } else {
-      inspectorPanel.add(ui.Label('No class change detected', { fontSize: '11px', fontStyle: 'italic', color: '888888' }));
-    }
+function makeControlRow(label, widget) {
+  return ui.Panel({
+    widgets: [ui.Label(label, { fontSize: '11px', width: '90px', margin: '8px 4px 0 8px' }), widget],
+    layout: ui.Panel.Layout.Flow('horizontal')
+  });
+}
 
-    inspectorPanel.add(ui.Label('Dense Canopy Status', { fontWeight: 'bold', fontSize: '11px', margin: '8px 0 4px 0' }));
+// Expects a resolved config (no null thresholds); does not fire onChange
+function setControls(settings) {
+  Object.keys(controls).forEach(function (key) {
+    controls[key].setValue(settings[key], false);
+  });
+}
 
-    var statusPanel = ui.Panel({ style: { margin: '0 0 4px 0' } });
-    var startedDense = res.start_class === 1;
-    var nowDense = res.current_ndvi >= DENSE_CANOPY;
+// Switching index loads that index's default state and slope thresholds
+controls.index.onChange(function (key) {
+  var index = INDICES[key];
+  controls.denseCanopy.setValue(index.thresholds.dense, false);
+  controls.transitional.setValue(index.thresholds.transitional, false);
+  controls.sparse.setValue(index.thresholds.sparse, false);
+  controls.gainingSlope.setValue(index.slopes.gaining, false);
+  controls.losingSlope.setValue(index.slopes.losing, false);
+});
 
-    if (res.epoch) {
-      var epochEnd = res.epoch === epochs[epochs.length - 1].label ? endYear : res.epoch + 4;
-      statusPanel.add(ui.Label('✓ Canopy Reached: ' + res.epoch + '-' + epochEnd, {
-        fontSize: '11px', color: '228B22', fontWeight: 'bold'
-      }));
-      statusPanel.add(ui.Label('First reached NDVI ≥' + DENSE_CANOPY + ' (from non-dense)', {
-        fontSize: '9px', color: '666666', fontStyle: 'italic'
-      }));
-    } else if (startedDense && nowDense) {
-      statusPanel.add(ui.Label('✓ Established: pre-' + startYear, {
-        fontSize: '11px', color: '228B22', fontWeight: 'bold'
-      }));
-      statusPanel.add(ui.Label('Dense canopy throughout study period', {
-        fontSize: '9px', color: '666666', fontStyle: 'italic'
-      }));
-    } else if (!startedDense && nowDense && slopeVal > 0) {
-      var yearsAgo = (currentNDVI - DENSE_CANOPY) / slopeVal;
-      var crossYear = Math.round(endYear - yearsAgo);
-      statusPanel.add(ui.Label('✓ Established: ~' + crossYear, {
-        fontSize: '11px', color: '228B22', fontWeight: 'bold'
-      }));
-      statusPanel.add(ui.Label('Estimated crossing from ' + (vegNames[res.start_class] || 'transitional'), {
-        fontSize: '9px', color: '666666', fontStyle: 'italic'
-      }));
-    } else if (!startedDense && nowDense) {
-      statusPanel.add(ui.Label('✓ Established: ~2020s', {
-        fontSize: '11px', color: '228B22', fontWeight: 'bold'
-      }));
-      statusPanel.add(ui.Label('Recently reached threshold', {
-        fontSize: '9px', color: '666666', fontStyle: 'italic'
-      }));
-    } else if (slopeVal > 0) {
-      var yearsNeeded = (DENSE_CANOPY - currentNDVI) / recentSlopeVal;
-      if (yearsNeeded <= 0) {
-        statusPanel.add(ui.Label('✓ At threshold', {
-          fontSize: '11px', color: '228B22', fontWeight: 'bold'
-        }));
-      } else if (yearsNeeded <= 50) {
-        var projYear = endYear + Math.round(yearsNeeded);
-        statusPanel.add(ui.Label('↗ Projected: ~' + projYear + ' (Theoretical)', {
-          fontSize: '11px', color: '0066CC', fontWeight: 'bold'
-        }));
-        statusPanel.add(ui.Label('Est. ' + Math.round(yearsNeeded) + ' years (Linear Model)', {
-          fontSize: '9px', color: '666666', fontStyle: 'italic'
-        }));
-      } else {
-        statusPanel.add(ui.Label('↗ Projected: ~' + (endYear + Math.round(yearsNeeded)) + ' (slow)', {
-          fontSize: '11px', color: '888888'
-        }));
-        statusPanel.add(ui.Label('~' + Math.round(yearsNeeded) + ' years at current rate', {
-          fontSize: '9px', color: '999999', fontStyle: 'italic'
-        }));
-      }
-    } else if (slopeVal < LOSING_SLOPE) {
-      statusPanel.add(ui.Label('↘ Declining (no projection)', {
-        fontSize: '11px', color: 'CC0000'
-      }));
-      statusPanel.add(ui.Label('Strong negative trend', {
-        fontSize: '9px', color: '999999', fontStyle: 'italic'
-      }));
-    } else if (slopeVal < 0) {
-      statusPanel.add(ui.Label('↘ Slight decline', {
-        fontSize: '11px', color: 'CC6600'
-      }));
-      statusPanel.add(ui.Label('Trend negative but below ' + LOSING_SLOPE + '/yr', {
-        fontSize: '9px', color: '999999', fontStyle: 'italic'
-      }));
-    } else {
-      statusPanel.add(ui.Label('— Stable (no change)', {
-        fontSize: '11px', color: '888888'
-      }));
-      statusPanel.add(ui.Label('No measurable NDVI trend', {
-        fontSize: '9px', color: '999999', fontStyle: 'italic'
-      }));
-    }
-    inspectorPanel.add(statusPanel);
+function readControls() {
+  var settings = {};
+  Object.keys(DEFAULTS).forEach(function (key) {
+    settings[key] = controls[key] ? controls[key].getValue() : DEFAULTS[key];
+  });
+  return settings;
+}
 
-    // Optimized Chart Generation
-    var chart = ui.Chart.image.series({
-      imageCollection: trendSeries.select('NDVI'),
-      region: point,
-      reducer: ee.Reducer.first(),
-      scale: 30
-    }).setOptions({
-        title: 'NDVI Trend (' + startYear + '-' + endYear + ')',
-        titleTextStyle: { fontSize: 11, bold: true },
-        hAxis: { title: '', format: 'yyyy', textStyle: { fontSize: 9 } },
-        vAxis: {
-          title: '',
-          viewWindow: { min: 0, max: 1 },
-          textStyle: { fontSize: 9 },
-          gridlines: { count: 3 }
-        },
-        pointSize: 2,
-        legend: { position: 'none' },
-        series: { 0: { color: '333333' } },
-        trendlines: { 0: { type: 'linear', color: 'FF0000', lineWidth: 2, showR2: true } },
-        chartArea: { width: '85%', height: '70%' },
-        height: 180
-      });
+var statusLabel = ui.Label('', { fontSize: '10px', color: '666666', whiteSpace: 'pre' });
 
-    inspectorPanel.add(chart);
+controlPanel.add(ui.Label('Analysis Settings', { fontWeight: 'bold', fontSize: '16px', margin: '4px 8px' }));
+controlPanel.add(ui.Label('Adjust parameters and press Apply to rebuild all layers.', { fontSize: '10px', color: '666666' }));
 
-    inspectorPanel.add(ui.Label(
-      'Thresholds: Dense≥' + DENSE_CANOPY + ' | Trans ' + TRANSITIONAL + '-' + DENSE_CANOPY + ' | Sparse ' + SPARSE + '-' + TRANSITIONAL,
-      { fontSize: '9px', color: '888888', margin: '4px 0 0 0' }
-    ));
+controlPanel.add(makeSectionLabel('Region of Interest'));
+controlPanel.add(roiPanel);
 
-    if (SENSITIVITY_ADJUSTMENT !== 0) {
-      inspectorPanel.add(ui.Label(
-        '⚠️ Sensitivity Analysis Active (Adj: ' + (SENSITIVITY_ADJUSTMENT > 0 ? '+' : '') + SENSITIVITY_ADJUSTMENT + ')',
-        { fontSize: '9px', color: 'BC8F8F', margin: '2px 0 0 0', fontWeight: 'bold' }
-      ));
+controlPanel.add(makeSectionLabel('Time Series'));
+controlPanel.add(makeControlRow('Start year', controls.startYear));
+controlPanel.add(makeControlRow('End year', controls.endYear));
+controlPanel.add(makeControlRow('Start month', controls.startMonth));
+controlPanel.add(makeControlRow('End month', controls.endMonth));
+controlPanel.add(makeControlRow('Auto season', controls.autoSeason));
+
+controlPanel.add(makeControlRow('TM/ETM+ → OLI', controls.harmonization));
+controls.sentinel2.style().set({ fontSize: '11px', margin: '2px 8px' });
+controlPanel.add(controls.sentinel2);
+controlPanel.add(makeControlRow('S2 cloud prob. <', controls.s2CloudProbability));
+
+controlPanel.add(makeSectionLabel('Terrain'));
+controlPanel.add(makeControlRow('Illumination', controls.topoCorrection));
+controlPanel.add(makeControlRow('DEM', controls.terrainDem));
+controls.maskTerrainShadow.style().set({ fontSize: '11px', margin: '2px 8px' });
+controlPanel.add(controls.maskTerrainShadow);
+
+controlPanel.add(makeSectionLabel('Quality Masking'));
+controlPanel.add(ui.Label('Cloud and cloud shadow are always masked.', { fontSize: '9px', color: '888888', margin: '0 8px' }));
+['maskDilatedCloud', 'maskCirrus', 'maskSnow', 'maskWater', 'maskSaturation', 'maskInvalidRange', 'excludeSlcOff']
+  .forEach(function (key) {
+    controls[key].style().set({ fontSize: '11px', margin: '2px 8px' });
+    controlPanel.add(controls[key]);
+  });
+
+controlPanel.add(makeSectionLabel('Exclusion Masks'));
+controlPanel.add(ui.Label('Excluded pixels get no state, change class, trend, disturbance or projection.', { fontSize: '9px', color: '888888', margin: '0 8px' }));
+['excludeWater', 'excludeBuiltUp', 'excludeCropland'].forEach(function (key) {
+  controls[key].style().set({ fontSize: '11px', margin: '2px 8px' });
+  controlPanel.add(controls[key]);
+});
+controlPanel.add(makeControlRow('Water occ. ≥ %', controls.waterOccurrence));
+controlPanel.add(makeControlRow('Polygons asset', controls.exclusionAsset));
+
+controlPanel.add(makeSectionLabel('Spectral Index'));
+controlPanel.add(makeControlRow('Index', controls.index));
+
+controlPanel.add(makeSectionLabel('State Thresholds'));
+controlPanel.add(makeControlRow('Dense ≥', controls.denseCanopy));
+controlPanel.add(makeControlRow('Transitional ≥', controls.transitional));
+controlPanel.add(makeControlRow('Sparse ≥', controls.sparse));
+controlPanel.add(makeControlRow('Sensitivity adj.', controls.sensitivityAdjustment));
+controlPanel.add(makeControlRow('Calibrate from', controls.calibration));
+controlPanel.add(makeControlRow('Calib. rule', controls.calibrationRule));
+controlPanel.add(calibrationPanel);
+
+controlPanel.add(makeSectionLabel('Trend Thresholds'));
+controlPanel.add(makeControlRow('Gaining >', controls.gainingSlope));
+controlPanel.add(makeControlRow('Losing <', controls.losingSlope));
+controlPanel.add(makeControlRow('Significance', controls.significanceLevel));
+controlPanel.add(makeControlRow('MK variant', controls.mkVariant));
+controlPanel.add(makeControlRow('Multiple tests', controls.multipleTesting));
+controlPanel.add(makeControlRow('Estimator', controls.trendMethod));
+controlPanel.add(makeControlRow('Trend input', controls.trendInput));
+controlPanel.add(makeControlRow('Annual pctl.', controls.annualPercentile));
+
+controlPanel.add(makeSectionLabel('Data Sufficiency'));
+controlPanel.add(makeControlRow('Min. obs. / 5 yr', controls.minObservations));
+controlPanel.add(makeControlRow('Min. obs. trend', controls.minTrendObservations));
+controlPanel.add(makeControlRow('Insufficient', controls.insufficientData));
+
+controlPanel.add(makeSectionLabel('Minimum Mapping Unit'));
+controlPanel.add(makeControlRow('Min. patch (px)', controls.mmuPixels));
+controlPanel.add(makeControlRow('Small patches', controls.mmuMode));
+
+controlPanel.add(makeSectionLabel('Trajectory Projection'));
+controlPanel.add(makeControlRow('Model', controls.projectionModel));
+
+controlPanel.add(makeSectionLabel('Disturbance (LandTrendr)'));
+controlPanel.add(makeControlRow('Min. index loss', controls.disturbanceMinMagnitude));
+
+controlPanel.add(makeSectionLabel('Export'));
+controlPanel.add(makeControlRow('Target', controls.exportTarget));
+controlPanel.add(makeControlRow('Destination', controls.exportDestination));
+controlPanel.add(makeControlRow('CRS', controls.exportCrs));
+controlPanel.add(makeControlRow('Custom CRS', controls.exportCustomCrs));
+controlPanel.add(ui.Label('Products (one or more tasks each):', { fontSize: '9px', color: '888888', margin: '4px 8px 0 8px' }));
+controlPanel.add(ui.Panel({
+  widgets: Object.keys(exportProductBoxes).map(function (key) { return exportProductBoxes[key]; }),
+  layout: ui.Panel.Layout.Flow('horizontal', true)
+}));
+controlPanel.add(ui.Label('Bundle bands (one multi-band image):', { fontSize: '9px', color: '888888', margin: '4px 8px 0 8px' }));
+controlPanel.add(ui.Panel({
+  widgets: Object.keys(exportBandBoxes).map(function (key) { return exportBandBoxes[key]; }),
+  layout: ui.Panel.Layout.Flow('horizontal', true)
+}));
+var exportStatusLabel = ui.Label('', { fontSize: '9px', color: '666666', margin: '0 8px', whiteSpace: 'pre' });
+controlPanel.add(ui.Button({
+  label: 'Queue Exports',
+  onClick: function () {
+    // Export settings come from the panel; the analysis settings from the last Apply
+    var config = {};
+    Object.keys(current.config).forEach(function (key) { config[key] = current.config[key]; });
+    ['exportProducts', 'exportBands', 'exportCrs', 'exportCustomCrs', 'exportTarget', 'exportDestination'].forEach(function (key) {
+      config[key] = controls[key].getValue();
+    });
+    var errors = validateConfig(config);
+    if (errors.length > 0) {
+      exportStatusLabel.style().set('color', 'CC0000');
+      exportStatusLabel.setValue(errors.join('\n'));
+      return;
     }
+    exportStatusLabel.style().set('color', '666666');
+    exportStatusLabel.setValue('Queueing...');
+    queueExports(current, config, function (n) {
+      exportStatusLabel.setValue(n > 0 ? n + ' product(s) queued; start them in the Tasks tab.' : 'No products selected.');
+    });
+  }
+}));
+controlPanel.add(exportStatusLabel);
+
+// Latest config passed to applyConfig; an older season lookup is dropped
+var pendingConfig = null;
+
+// Resolves the seasonal window, then rebuilds the full pipeline, layers
+// and legend from a config
+function applyConfig(config) {
+  pendingConfig = config;
+  if (config.autoSeason !== 'off') {
+    statusLabel.setValue('Resolving seasonal window...');
+  }
+  if (config.calibration !== 'off') {
+    calibrationPanel.clear();
+  }
+  // Season first: calibration samples the composite of the resolved window
+  resolveSeason(config, roi, function (seasoned) {
+    if (seasoned !== pendingConfig) return;
+    if (seasoned.calibration !== 'off') {
+      statusLabel.setValue('Calibrating thresholds...');
+    }
+    calibrateThresholds(seasoned, roi, function (calibrated, histograms) {
+      if (calibrated !== pendingConfig) return;
+      if (calibrated.multipleTesting === 'fdr') {
+        statusLabel.setValue('Ranking p-values for FDR...');
+      }
+      // FDR last: its p-values depend on the season (and the family on the ROI)
+      resolveFdr(calibrated, roi, function (resolved) {
+        if (resolved !== pendingConfig) return;
+        setControls(resolved);
+        statusLabel.setValue('Applied: ' + resolved.startYear + '-' + resolved.endYear +
+          ', ' + describeSeason(resolved) + ' (' + resolved.seasonSource + ')' +
+          '\nThresholds: ' + resolved.thresholdSource);
+        showCalibration(resolved, histograms);
+        current = runAnalysis(resolved, roi);
+        renderLayers(current);
+        if (compareActive) renderComparison(current);
+        updateLegend('Vegetation Change');
+        inspectorPanel.style().set('shown', false);
+        statsPanel.clear();
+        sweepPanel.clear();
+        accuracyPanel.clear();
+        diagnosticsPanel.clear();
+        exportStatusLabel.setValue('');
+      });
+    });
   });
 }
 
-Map.onClick(updateInspector);
+// Validates the panel settings and applies them to the current ROI
+function applyControls() {
+  var config = buildConfig(readControls());
+  var errors = validateConfig(config);
+  if (errors.length > 0) {
+    statusLabel.style().set('color', 'CC0000');
+    statusLabel.setValue(errors.join('\n'));
+    return;
+  }
+  statusLabel.style().set('color', '666666');
+  applyConfig(config);
+}
 
-// 10. EXPORT
+controlPanel.add(ui.Panel({
+  widgets: [
+    ui.Button({
+      label: 'Apply',
+      onClick: applyControls
+    }),
+    ui.Button({
+      label: 'Reset',
+      onClick: function () { setControls(buildConfig(DEFAULTS)); }
+    })
+  ],
+  layout: ui.Panel.Layout.Flow('horizontal'),
+  style: { margin: '10px 0 0 0' }
+}));
+controlPanel.add(statusLabel);
 
-Export.image.toDrive({
-  image: changeClass.byte(),
-  description: 'Export_Change_Classes_' + startYear + '_' + endYear,
-  scale: 30,
-  region: roi,
-  crs: 'EPSG:4326',
-  maxPixels: 1e13
+controlPanel.add(makeSectionLabel('Before/After Comparison'));
+controlPanel.add(ui.Label('Swipe between baseline and current composites; clicks on either side run the inspector.', { fontSize: '9px', color: '888888', margin: '0 8px' }));
+var compareButton = ui.Button({
+  label: 'Compare Before/After',
+  onClick: function () {
+    setComparison(!compareActive);
+    compareButton.setLabel(compareActive ? 'Back to Single Map' : 'Compare Before/After');
+  }
 });
+controlPanel.add(compareButton);
 
-Export.image.toDrive({
-  image: establishmentEpoch.unmask(0).short(),
-  description: 'Export_Establishment_Epoch_' + startYear + '_' + endYear,
-  scale: 30,
-  region: roi,
-  crs: 'EPSG:4326',
-  maxPixels: 1e13
-});
+controlPanel.add(makeSectionLabel('Statistics'));
+controlPanel.add(ui.Button({
+  label: 'Compute Area Statistics',
+  onClick: function () { showStatistics(current); }
+}));
+controlPanel.add(statsPanel);
 
-Export.image.toDrive({
-  image: slope.float(),
-  description: 'Export_Trend_Slope_' + startYear + '_' + endYear,
-  scale: 30,
-  region: roi,
-  crs: 'EPSG:4326',
-  maxPixels: 1e13
-});
+controlPanel.add(makeSectionLabel('Patch Statistics'));
+controlPanel.add(ui.Button({
+  label: 'Compute Patch Statistics',
+  onClick: function () { showPatches(current); }
+}));
+controlPanel.add(patchPanel);
+
+controlPanel.add(makeSectionLabel('Sensitivity Sweep'));
+controlPanel.add(ui.Button({
+  label: 'Area vs Threshold Offset',
+  onClick: function () { showSweep(current); }
+}));
+controlPanel.add(sweepPanel);
+
+controlPanel.add(makeSectionLabel('Accuracy Assessment'));
+controlPanel.add(makeControlRow('Per class', controls.validationSampleSize));
+controlPanel.add(makeControlRow('No change', controls.validationNoChangeSize));
+controlPanel.add(makeControlRow('Labels asset', controls.validationLabels));
+controlPanel.add(ui.Button({
+  label: 'Assess Accuracy',
+  onClick: function () { showAccuracy(current); }
+}));
+controlPanel.add(accuracyPanel);
+
+controlPanel.add(makeSectionLabel('Batch Sites'));
+controlPanel.add(ui.Label('Runs the applied settings over every site.', { fontSize: '9px', color: '888888', margin: '0 8px' }));
+controlPanel.add(makeControlRow('Sites asset', controls.batchSites));
+controlPanel.add(makeControlRow('ID property', controls.batchIdProperty));
+controls.batchImageExports.style().set({ fontSize: '11px', margin: '2px 8px' });
+controlPanel.add(controls.batchImageExports);
+controlPanel.add(ui.Button({
+  label: 'Run Batch',
+  onClick: function () {
+    // Batch settings come from the panel; the analysis settings from the last Apply
+    var config = {};
+    Object.keys(current.config).forEach(function (key) { config[key] = current.config[key]; });
+    // Each site is its own FDR family; its table is built server-side
+    delete config.fdrTable;
+    ['batchSites', 'batchIdProperty', 'batchImageExports'].forEach(function (key) {
+      config[key] = controls[key].getValue();
+    });
+    runBatch(config);
+  }
+}));
+controlPanel.add(batchPanel);
+
+controlPanel.add(makeSectionLabel('Diagnostics'));
+controlPanel.add(ui.Button({
+  label: 'Sensor Overlap Index',
+  onClick: function () { showSensorDiagnostic(current); }
+}));
+controlPanel.add(diagnosticsPanel);
+
+// 12. RUN
 
-Export.image.toDrive({
-  image: trendClass.byte(),
-  description: 'Export_Statistical_Trend_Class_' + startYear + '_' + endYear,
-  scale: 30,
-  region: roi,
-  crs: 'EPSG:4326',
-  maxPixels: 1e13
-});
\ No newline at end of file
+var initialConfig = buildConfig(DEFAULTS);
+setControls(initialConfig);
+applyConfig(initialConfig);